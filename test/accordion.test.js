@@ -0,0 +1,120 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+const expanded = page => page.$$('#shopify-section-faq .accordion-header').map(header => header.getAttribute('aria-expanded'));
+
+test('wires headers and panels up for assistive technology', async t => {
+    const page = await createPage('accordion');
+    t.after(page.close);
+    const header = page.$('#faq-shipping .accordion-header'),
+          content = page.$('#faq-shipping .accordion-content');
+
+    assert.equal(header.getAttribute('role'), 'button');
+    assert.equal(header.tabIndex, 0);
+    assert.equal(header.getAttribute('aria-controls'), content.id);
+    assert.equal(content.getAttribute('role'), 'region');
+    assert.equal(content.getAttribute('aria-labelledby'), header.id);
+    assert.deepEqual(expanded(page), ['false', 'false', 'false']);
+    assert.equal(content.hidden, true);
+
+    //button headers keep their native role
+    assert.equal(page.$('[data-block-id="care"] .accordion-header').hasAttribute('role'), false);
+});
+
+test('opens one item at a time in single mode and swaps the icons', async t => {
+    const page = await createPage('accordion');
+    t.after(page.close);
+    const [shipping, returns] = page.$$('#shopify-section-faq .accordion-header');
+
+    page.click(shipping);
+    assert.deepEqual(expanded(page), ['true', 'false', 'false']);
+    assert.ok(shipping.classList.contains('active'));
+    assert.equal(shipping.querySelector('.icon1').style.display, 'none');
+    assert.equal(shipping.querySelector('.icon2').style.display, '');
+
+    page.click(returns);
+    assert.deepEqual(expanded(page), ['false', 'true', 'false']);
+
+    page.click(returns);
+    assert.deepEqual(expanded(page), ['false', 'false', 'false']);
+});
+
+test('keeps groups in different sections independent', async t => {
+    const page = await createPage('accordion');
+    t.after(page.close);
+    const care = page.$('[data-block-id="care"] .accordion-header'),
+          materials = page.$('[data-block-id="materials"] .accordion-header');
+
+    assert.equal(care.getAttribute('aria-expanded'), 'true', 'data-accordion-expanded="first"');
+    page.click(materials);
+    page.click(page.$('#faq-shipping .accordion-header'));
+    assert.equal(care.getAttribute('aria-expanded'), 'true');
+    assert.equal(materials.getAttribute('aria-expanded'), 'true');
+});
+
+test('supports arrow key navigation and Enter on non-button headers', async t => {
+    const page = await createPage('accordion');
+    t.after(page.close);
+    const headers = page.$$('#shopify-section-faq .accordion-header');
+
+    headers[0].focus();
+    page.key(headers[0], 'ArrowDown');
+    assert.equal(page.document.activeElement, headers[1]);
+    page.key(headers[1], 'End');
+    assert.equal(page.document.activeElement, headers[2]);
+    page.key(headers[2], 'ArrowDown');
+    assert.equal(page.document.activeElement, headers[0], 'wraps around');
+
+    page.key(headers[0], 'Enter');
+    assert.deepEqual(expanded(page), ['true', 'false', 'false']);
+});
+
+test('opens the item the URL hash points at', async t => {
+    const page = await createPage('accordion', { url: 'https://freshwater.test/pages/faq#returns-policy' });
+    t.after(page.close);
+    assert.deepEqual(expanded(page), ['false', 'true', 'false']);
+
+    page.window.location.hash = '#faq-warranty';
+    page.window.dispatchEvent(new page.window.HashChangeEvent('hashchange'));
+    assert.deepEqual(expanded(page), ['false', 'false', 'true']);
+});
+
+test('toggles once per click after the section is reloaded in the editor', async t => {
+    const page = await createPage('accordion');
+    t.after(page.close);
+    const listeners = page.listeners(page.window);
+
+    await page.reloadSection('faq');
+    await page.reloadSection('faq');
+    page.click(page.$('#faq-shipping .accordion-header'));
+    assert.deepEqual(expanded(page), ['true', 'false', 'false']);
+    assert.equal(page.listeners(page.window), listeners, 'no window listeners left behind');
+});
+
+test('opens the selected block in the theme editor', async t => {
+    const page = await createPage('accordion');
+    t.after(page.close);
+    page.editorEvent('block:select', 'faq', 'warranty', page.$('#faq-warranty'));
+    assert.deepEqual(expanded(page), ['false', 'false', 'true']);
+});
+
+test('recalculates the open panel height on resize', async t => {
+    const page = await createPage('accordion');
+    t.after(page.close);
+    const content = page.$('#faq-shipping .accordion-content');
+    page.click(page.$('#faq-shipping .accordion-header'));
+
+    Object.defineProperty(content, 'scrollHeight', { configurable: true, value: 240 });
+    await page.resize(375);
+    assert.equal(content.style.maxHeight, '240px');
+});
+
+test('initializes when the script runs after the document was parsed', async t => {
+    const page = await createPage('accordion', { deferred: true });
+    t.after(page.close);
+    page.click(page.$('#faq-shipping .accordion-header'));
+    assert.deepEqual(expanded(page), ['true', 'false', 'false']);
+});
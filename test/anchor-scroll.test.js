@@ -0,0 +1,88 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+//positions from data-top (relative to the current scroll position) and the header's data-height,
+//window.scrollTo calls kept in page.scrolls
+function layout(window, page) {
+    page.scrolls = [];
+    window.scrollTo = options => page.scrolls.push([options.top, options.behavior]);
+    window.Element.prototype.getBoundingClientRect = function () {
+        const top = Number(this.getAttribute('data-top')) - window.scrollY || 0,
+              height = Number(this.getAttribute('data-height')) || 0;
+        return { top, bottom: top + height, left: 0, right: 0, width: 0, height, x: 0, y: top };
+    };
+}
+
+test('scrolls to a hash target below the sticky header and updates the URL', async t => {
+    const page = await createPage('anchors', { setup: layout });
+    t.after(page.close);
+    const hashes = [];
+    page.window.addEventListener('hashchange', event => hashes.push(event.newURL));
+
+    page.click(page.$('#to-shipping'));
+    assert.deepEqual(page.scrolls, [[920, 'smooth']]);
+    assert.equal(page.window.location.hash, '#shipping');
+    assert.deepEqual(hashes, ['https://freshwater.test/#shipping']);
+    assert.equal(page.document.activeElement, page.$('#shipping'), 'focus moved to the target');
+    assert.equal(page.$('#shipping').getAttribute('tabindex'), '-1');
+    assert.equal(page.document.documentElement.style.scrollPaddingTop, '80px');
+
+    const length = page.window.history.length;
+    page.click(page.$('#to-returns'));
+    assert.deepEqual(page.scrolls[1], [1920, 'smooth']);
+    assert.equal(page.window.location.hash, '#returns');
+    assert.equal(page.window.history.length, length, 'replaced instead of pushed');
+});
+
+test('leaves other hash links to the browser and the theme', async t => {
+    const page = await createPage('anchors', { setup: layout });
+    t.after(page.close);
+
+    //the window hears the click after the document's handler had its say
+    const prevented = [];
+    page.window.addEventListener('click', event => {
+        prevented.push(event.defaultPrevented);
+        event.preventDefault();
+    });
+    ['logo-link', 'drawer-toggle', 'to-missing', 'to-route', 'opted-out'].forEach(id => page.click(page.$('#' + id)));
+    page.click(page.$('#to-shipping'), { ctrlKey: true });
+    assert.deepEqual(prevented, [false, false, false, false, false, false]);
+    assert.deepEqual(page.scrolls, []);
+
+    page.click(page.$('#to-shipping'));
+    assert.equal(prevented[6], true, 'while a plain hash link is taken over');
+});
+
+test('jumps to named anchors when the user prefers reduced motion', async t => {
+    const page = await createPage('anchors', { setup: layout, reducedMotion: true });
+    t.after(page.close);
+    page.$('#to-missing').setAttribute('href', '#legacy');
+
+    page.click(page.$('#to-missing'));
+    assert.deepEqual(page.scrolls, [[2920, 'auto']]);
+});
+
+test('lines the initial hash target up once the page has loaded', async t => {
+    const page = await createPage('anchors', { setup: layout, url: 'https://freshwater.test/#returns' });
+    t.after(page.close);
+    if (page.document.readyState !== 'complete') await new Promise(resolve => page.window.addEventListener('load', resolve));
+
+    assert.deepEqual(page.scrolls, [[1920, 'auto']]);
+    assert.notEqual(page.document.activeElement, page.$('#returns'), 'focus stays where it was');
+});
+
+test('lets go of the page once destroyed', async t => {
+    const page = await createPage('anchors', { setup: layout });
+    t.after(page.close);
+    const listeners = [page.listeners(page.window), page.listeners(page.document)];
+
+    page.Fresh.destroy();
+    assert.equal(page.document.documentElement.style.scrollPaddingTop, '');
+    assert.ok(page.listeners(page.window) < listeners[0]);
+    assert.ok(page.listeners(page.document) < listeners[1]);
+    page.click(page.$('#to-shipping'));
+    assert.deepEqual(page.scrolls, []);
+});
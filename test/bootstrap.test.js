@@ -0,0 +1,110 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+const bundles = page => Array.from(page.document.head.querySelectorAll('script[src]'), script => ({ src: script.src, async: script.async }));
+
+for (const deferred of [true, false]) {
+    test(`replays queued calls before the first init (${deferred ? 'async bundle' : 'blocking script'})`, async t => {
+        const states = [],
+              initialized = [];
+        const page = await createPage('header-group', {
+            deferred,
+            //theme code running between the bootstrap and the bundle, against the stubs
+            bootstrap: window => {
+                window.Fresh.on('header:change', event => states.push(event.detail.state));
+                window.Fresh.register({ name: 'size-chart', selector: 'sticky-header', init: element => initialized.push(element.tagName) || {} });
+                window.Fresh.track('size_chart_open', { product_id: 1 });
+                window.Fresh.track.consent(true);
+            }
+        });
+        t.after(page.close);
+
+        assert.deepEqual(states, ['top'], 'the handler saw the header state set during the first init');
+        assert.deepEqual(initialized, ['STICKY-HEADER']);
+        assert.equal(page.Fresh.hasFeature('size-chart'), true);
+        assert.deepEqual(Array.from(page.window.dataLayer, entry => entry.event), ['size_chart_open']);
+        assert.deepEqual(Array.from(page.Fresh.q), []);
+    });
+}
+
+test('stubs the API and queues calls until the bundle loads', async t => {
+    let queued;
+    const page = await createPage('accordion', {
+        bootstrap: window => {
+            window.Fresh.init(window.document.body);
+            window.Fresh.track('first');
+            window.Fresh.track.sink('test', () => {});
+            queued = Array.from(window.Fresh.q, ([path, args]) => [path, args.length]);
+        }
+    });
+    t.after(page.close);
+
+    assert.deepEqual(queued, [['init', 1], ['track', 1], ['track.sink', 2]]);
+    assert.equal(page.Fresh.version, '3.0.0');
+    assert.equal(typeof page.Fresh.track.consent, 'function');
+});
+
+test('merges the #fresh-config block under settings from an inline script', async t => {
+    const page = await createPage('accordion', {
+        config: { logLevel: 'error', features: { bragbar: false } },
+        setup: window => {
+            window.Fresh = { config: { logLevel: 'warn' } };
+        },
+        bootstrap: true
+    });
+    t.after(page.close);
+
+    assert.equal(page.Fresh.config.logLevel, 'warn');
+    assert.deepEqual(JSON.parse(JSON.stringify(page.Fresh.config.features)), { bragbar: false });
+    assert.equal(page.Fresh.hasFeature('bragbar'), false);
+});
+
+test('moves jQuery to $0 and reports what it found', async t => {
+    const page = await createPage('accordion', { bootstrap: true });
+    t.after(page.close);
+
+    assert.equal(page.window.$0, page.window.jQuery);
+    assert.equal(page.window.$, undefined, 'noConflict gave $ back');
+    assert.deepEqual({ ...page.Fresh.support }, { jquery: true, lazyload: true });
+
+    const vanilla = await createPage('accordion', { jquery: false, bootstrap: true });
+    t.after(vanilla.close);
+    assert.equal(vanilla.window.$0, undefined);
+    assert.deepEqual({ ...vanilla.Fresh.support }, { jquery: false, lazyload: false });
+});
+
+test('loads the bundle next to it, or from the configured URL, versioned', async t => {
+    const page = await createPage('accordion', { config: { bundle: true }, bootstrap: true });
+    t.after(page.close);
+    assert.deepEqual(bundles(page), [{ src: 'https://freshwater.test/v2/0-global.js?v=3.0.0', async: true }]);
+
+    const cdn = await createPage('accordion', { config: { bundle: 'https://cdn.freshwater.test/fresh.js?shop=1' }, bootstrap: true });
+    t.after(cdn.close);
+    assert.deepEqual(bundles(cdn), [{ src: 'https://cdn.freshwater.test/fresh.js?shop=1&v=3.0.0', async: true }]);
+
+    const included = await createPage('accordion', { bootstrap: true });
+    t.after(included.close);
+    assert.deepEqual(bundles(included), [], 'the theme includes the bundle itself');
+});
+
+test('ignores a second copy of itself', async t => {
+    let queued;
+    const page = await createPage('accordion', {
+        config: { bundle: true },
+        bootstrap: (window, page) => {
+            window.Fresh.on('accordion:open', () => {});
+            window.Fresh.version = '3.0.0-first';
+            page.bootstrap();
+            queued = window.Fresh.q.length;
+        }
+    });
+    t.after(page.close);
+
+    assert.equal(queued, 1, 'the second copy kept the queue');
+    assert.equal(page.Fresh.version, '3.0.0-first');
+    assert.equal(bundles(page).length, 1);
+    assert.match(String(page.warnings[0][0]), /already loaded, ignoring the second copy/);
+});
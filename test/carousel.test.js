@@ -0,0 +1,210 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+//slides side by side in a 600px wide carousel, as many to a view as it shows
+function layout(window) {
+    const proto = window.HTMLElement.prototype,
+          isCarousel = element => !!element && !!element.classList && element.classList.contains('fresh-slides'),
+          slideWidth = carousel => 600 / (Number(carousel.style.getPropertyValue('--fresh-slides-to-show')) || 1);
+    Object.defineProperty(proto, 'offsetLeft', {
+        configurable: true,
+        get() {
+            return isCarousel(this.parentNode) ? Array.prototype.indexOf.call(this.parentNode.children, this) * slideWidth(this.parentNode) : 0;
+        }
+    });
+    Object.defineProperty(proto, 'clientWidth', {
+        configurable: true,
+        get() {
+            return isCarousel(this) ? 600 : 0;
+        }
+    });
+    Object.defineProperty(proto, 'scrollWidth', {
+        configurable: true,
+        get() {
+            return isCarousel(this) ? this.children.length * slideWidth(this) : 0;
+        }
+    });
+}
+
+//the scroll stub doesn't fire 'scroll', the carousel syncs on the next frame after it
+async function settle(page, carousel) {
+    carousel.dispatchEvent(new page.window.Event('scroll'));
+    await page.frame();
+}
+
+const analytics = { features: { analytics: { consent: false, sinks: ['dataLayer'] } } };
+const slideViews = page => Array.from(page.window.dataLayer || [])
+    .filter(entry => entry.event === 'carousel_slide_view')
+    .map(entry => entry.slide_index);
+
+test('reports native slide changes the visitor makes, not autoplay\'s', async t => {
+    const page = await createPage('carousel', {
+        config: analytics,
+        setup: window => {
+            layout(window);
+            window.document.getElementById('featured-carousel').setAttribute('data-slick', JSON.stringify({ slidesToShow: 2, autoplay: true, autoplaySpeed: 20 }));
+        }
+    });
+    t.after(page.close);
+    const carousel = page.$('#featured-carousel'),
+          changes = [];
+    carousel.addEventListener('fresh:carousel:change', event => changes.push([event.detail.index, event.detail.autoplay]));
+
+    await page.sleep(30);
+    //hovering pauses autoplay, so nothing moves on its own from here
+    carousel.dispatchEvent(new page.window.Event('mouseenter'));
+    await settle(page, carousel);
+    assert.deepEqual(changes, [[1, true]]);
+    assert.deepEqual(slideViews(page), []);
+
+    page.click(page.$('#shopify-section-featured .fresh-carousel__arrow--next'));
+    await settle(page, carousel);
+    assert.deepEqual(changes, [[1, true], [2, false]]);
+    assert.deepEqual(slideViews(page), [2]);
+});
+
+test('reports Slick slide changes the visitor makes, not autoplay\'s', async t => {
+    const page = await createPage('carousel', { config: analytics });
+    t.after(page.close);
+    const $ = page.window.jQuery,
+          carousel = page.$('#testimonials-carousel'),
+          arrow = page.document.createElement('button'),
+          changes = [];
+    //Slick fires both events itself, from its autoplay timer or from the handler of the control used
+    const slide = index => {
+        $(carousel).trigger('beforeChange', [carousel.slick, 1 - index, index]);
+        $(carousel).trigger('afterChange', [carousel.slick, index]);
+    };
+    carousel.addEventListener('fresh:carousel:change', event => changes.push([event.detail.index, event.detail.autoplay]));
+    carousel.append(arrow);
+    arrow.addEventListener('click', () => slide(0));
+
+    slide(1);
+    assert.deepEqual(slideViews(page), []);
+    page.click(arrow);
+    assert.deepEqual(changes, [[1, true], [0, false]]);
+    assert.deepEqual(slideViews(page), [0]);
+
+    //the click is over once its task is
+    await page.sleep(0);
+    slide(1);
+    assert.deepEqual(slideViews(page), [0]);
+});
+
+test('points Slick\'s slide descriptions at the slides themselves', async t => {
+    const page = await createPage('carousel', {
+        //what Slick leaves on the slides when there are no dots for them to describe
+        setup: window => window.document.querySelectorAll('#testimonials-carousel li').forEach((slide, index) => {
+            slide.setAttribute('aria-describedby', 'slick-slide-control0' + index);
+        })
+    });
+    t.after(page.close);
+
+    assert.deepEqual(page.$$('#testimonials-carousel li').map(slide => slide.id), ['slick-slide-control00', 'slick-slide-control01']);
+    assert.equal(typeof page.Fresh.debounce, 'function');
+});
+
+test('tears a Slick carousel down where the section turns it off and sets it up again after', async t => {
+    const page = await createPage('carousel', { config: analytics });
+    t.after(page.close);
+    const carousel = page.$('#testimonials-carousel'),
+          calls = () => page.slick.filter(call => call.element === carousel).map(call => typeof call.settings === 'string' ? call.settings : 'init');
+
+    await page.resize(375);
+    assert.deepEqual(calls(), ['init', 'unslick']);
+    assert.equal(carousel.classList.contains('slick-initialized'), false);
+
+    await page.resize(1200);
+    assert.deepEqual(calls(), ['init', 'unslick', 'init']);
+    page.click(carousel.querySelector('li'));
+    page.window.jQuery(carousel).trigger('beforeChange', [carousel.slick, 0, 1]).trigger('afterChange', [carousel.slick, 1]);
+    assert.deepEqual(slideViews(page), [1], 'the carousel reports changes again');
+});
+
+const native = page => {
+    const carousel = page.$('#featured-carousel'),
+          controls = page.$('#shopify-section-featured .fresh-carousel__controls');
+    return {
+        carousel,
+        controls,
+        slides: Array.from(carousel.children),
+        visible: () => Array.from(carousel.children, slide => slide.getAttribute('aria-hidden') === 'false' && !slide.hasAttribute('inert')),
+        current: () => Array.from(controls.querySelectorAll('.fresh-carousel__dot'), dot => dot.getAttribute('aria-current') === 'true').indexOf(true),
+        prev: controls && controls.querySelector('.fresh-carousel__arrow--prev'),
+        next: controls && controls.querySelector('.fresh-carousel__arrow--next')
+    };
+};
+
+test('builds an accessible native carousel with arrows and dots', async t => {
+    const page = await createPage('carousel', { setup: layout });
+    t.after(page.close);
+    const { carousel, controls, slides, visible, current } = native(page);
+
+    assert.equal(carousel.getAttribute('role'), 'region');
+    assert.equal(carousel.getAttribute('aria-roledescription'), 'carousel');
+    assert.deepEqual(slides.map(slide => [slide.getAttribute('role'), slide.getAttribute('aria-label')]),
+        [['group', '1 of 4'], ['group', '2 of 4'], ['group', '3 of 4'], ['group', '4 of 4']]);
+    assert.deepEqual(Array.from(controls.querySelectorAll('button'), button => [button.getAttribute('aria-label'), button.getAttribute('aria-controls')]), [
+        ['Previous slide', 'featured-carousel'],
+        ['Go to slide 1', 'featured-carousel'],
+        ['Go to slide 2', 'featured-carousel'],
+        ['Go to slide 3', 'featured-carousel'],
+        ['Next slide', 'featured-carousel']
+    ]);
+    assert.deepEqual(visible(), [true, true, false, false], 'the slides out of view are inert and hidden');
+    assert.equal(current(), 0);
+
+    page.click(controls.querySelectorAll('.fresh-carousel__dot')[2]);
+    await settle(page, carousel);
+    assert.equal(carousel.scrollLeft, 600);
+    assert.deepEqual(visible(), [false, false, true, true]);
+    assert.equal(current(), 2);
+});
+
+test('wraps the native arrows around with infinite on, and stops at the ends with it off', async t => {
+    const page = await createPage('carousel', { setup: layout });
+    t.after(page.close);
+    let { carousel, prev, next, visible } = native(page);
+
+    page.click(prev);
+    await settle(page, carousel);
+    assert.deepEqual(visible(), [false, false, true, true], 'back from the first slide to the last');
+    page.click(next);
+    await settle(page, carousel);
+    assert.deepEqual(visible(), [true, true, false, false], 'on from the last slide to the first');
+
+    await page.resize(600);
+    ({ carousel, prev, next, visible } = native(page));
+    assert.deepEqual(visible(), [true, false, false, false]);
+    assert.equal(prev.disabled, true);
+    assert.equal(next.disabled, false);
+    carousel.scrollLeft = 1800;
+    await settle(page, carousel);
+    assert.deepEqual(visible(), [false, false, false, true]);
+    assert.equal(next.disabled, true);
+    page.click(next);
+    await settle(page, carousel);
+    assert.equal(carousel.scrollLeft, 1800, 'stays on the last slide');
+});
+
+test('tears the native carousel down where it is unslicked and builds it again after', async t => {
+    const page = await createPage('carousel', { setup: layout });
+    t.after(page.close);
+    const { carousel, slides } = native(page);
+    assert.ok(page.listeners(carousel) > 0);
+
+    await page.resize(375);
+    assert.equal(page.$('#shopify-section-featured .fresh-carousel__controls'), null);
+    assert.equal(carousel.classList.contains('fresh-carousel--native'), false);
+    assert.equal(carousel.hasAttribute('role'), false);
+    assert.equal(carousel.style.getPropertyValue('--fresh-slides-to-show'), '');
+    assert.deepEqual(slides.map(slide => slide.getAttributeNames().length), [0, 0, 0, 0], 'the slides are back to their markup');
+    assert.equal(page.listeners(carousel), 0);
+
+    await page.resize(1200);
+    assert.equal(page.$$('#shopify-section-featured .fresh-carousel__dot').length, 3);
+    assert.deepEqual(native(page).visible(), [true, true, false, false]);
+});
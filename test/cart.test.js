@@ -0,0 +1,139 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, reply } = require('./helpers/page');
+
+//a local mock of Shopify's AJAX cart endpoints
+function shop(items = [{ key: '111:a', id: 111, quantity: 1 }]) {
+    const cart = () => ({ token: 'c1', items: items.slice(), item_count: items.reduce((total, item) => total + item.quantity, 0) });
+    return {
+        '/cart.js': cart,
+        '/cart/add.js': ({ body }) => {
+            body.items.forEach(item => items.push({ key: item.id + ':b', id: Number(item.id), quantity: item.quantity }));
+            return { items: body.items };
+        },
+        '/cart/change.js': ({ body }) => {
+            items = items.map(item => item.key === body.id ? Object.assign({}, item, { quantity: body.quantity }) : item).filter(item => item.quantity > 0);
+            return cart();
+        }
+    };
+}
+
+const count = page => {
+    const bubble = page.$('#cart-icon-bubble .cart-count-bubble');
+    return bubble ? bubble.children[0].textContent : null;
+};
+
+test('loads the cart when the page initializes', async t => {
+    const page = await createPage('cart', { fetch: shop() });
+    t.after(page.close);
+    await page.sleep(0);
+
+    assert.deepEqual(page.requests.map(request => request.method + ' ' + request.url), ['GET /cart.js']);
+    assert.equal(page.Fresh.cart.state.item_count, 1);
+});
+
+test('leaves the cart alone on pages that don\'t show it until the first add', async t => {
+    const page = await createPage('accordion', { fetch: shop() });
+    t.after(page.close);
+    await page.sleep(0);
+    const updates = [];
+    page.Fresh.on('cart:updated', event => updates.push([event.detail.cart.item_count, event.detail.optimistic]));
+
+    page.window.dispatchEvent(new page.window.PageTransitionEvent('pageshow', { persisted: true }));
+    await page.sleep(0);
+    assert.deepEqual(page.requests, []);
+
+    const cart = await page.Fresh.cart.add({ id: 2, quantity: 2 });
+    assert.equal(cart.item_count, 3);
+    assert.deepEqual(page.requests.map(request => request.method + ' ' + request.url), ['GET /cart.js', 'POST /cart/add.js', 'GET /cart.js']);
+    assert.deepEqual(updates, [[1, false], [3, true], [3, false]], 'the count went up as soon as the cart was there');
+});
+
+test('reloads the cart when the page comes back from the back/forward cache', async t => {
+    const page = await createPage('cart', { fetch: shop() });
+    t.after(page.close);
+    await page.sleep(0);
+
+    page.window.dispatchEvent(new page.window.PageTransitionEvent('pageshow', { persisted: true }));
+    await page.sleep(0);
+    assert.deepEqual(page.requests.map(request => request.url), ['/cart.js', '/cart.js']);
+});
+
+test('updates the bubble optimistically on the first add and confirms it afterwards', async t => {
+    let release;
+    const routes = shop(),
+          add = routes['/cart/add.js'];
+    routes['/cart/add.js'] = request => new Promise(resolve => { release = () => resolve(add(request)); });
+    const page = await createPage('cart', { fetch: routes });
+    t.after(page.close);
+    await page.sleep(0);
+    const updates = [],
+          button = page.$('#add-socks');
+    page.Fresh.on('cart:updated', event => updates.push([event.detail.cart.item_count, event.detail.optimistic]));
+
+    page.click(button);
+    assert.equal(count(page), '3', 'before the request returns');
+    assert.equal(button.getAttribute('aria-disabled'), 'true');
+    await page.sleep(0);
+    assert.deepEqual(page.requests[1].body.items, [{ quantity: 2, id: '111', properties: { Gift: 'yes' } }]);
+
+    release();
+    await page.sleep(10);
+    assert.deepEqual(updates, [[3, true], [3, false]]);
+    assert.equal(page.$('#cart-icon-bubble .visually-hidden').textContent, '3 in your bag');
+    assert.equal(button.hasAttribute('aria-disabled'), false);
+});
+
+test('puts the last confirmed cart back when an add fails', async t => {
+    const routes = shop();
+    routes['/cart/add.js'] = () => reply(422, { status: 422, description: 'All 1 Socks are in your cart.' });
+    const page = await createPage('cart', { fetch: routes });
+    t.after(page.close);
+    await page.sleep(0);
+    const errors = [];
+    page.Fresh.on('cart:error', event => errors.push([event.detail.action, event.detail.error.message]));
+
+    page.click(page.$('#add-socks'));
+    assert.equal(count(page), '3');
+    await page.sleep(10);
+    assert.equal(count(page), '1');
+    assert.deepEqual(errors, [['add', 'All 1 Socks are in your cart.']]);
+    assert.equal(page.$('#add-socks').hasAttribute('aria-disabled'), false);
+});
+
+test('adds the fields of the surrounding product form', async t => {
+    const page = await createPage('cart', { fetch: shop() });
+    t.after(page.close);
+    await page.sleep(0);
+
+    page.click(page.$('#add-form'));
+    await page.sleep(10);
+    const add = page.requests.find(request => request.url === '/cart/add.js');
+    assert.deepEqual(add.body.items, [{ quantity: 3, id: '222', properties: { Engraving: 'AK' } }]);
+    assert.equal(count(page), '4');
+});
+
+test('runs quick adds one at a time', async t => {
+    const page = await createPage('cart', { fetch: shop() });
+    t.after(page.close);
+    await page.sleep(0);
+
+    await Promise.all([page.Fresh.cart.add({ id: 1 }), page.Fresh.cart.add({ id: 2, quantity: 4 })]);
+    assert.deepEqual(page.requests.map(request => request.url), ['/cart.js', '/cart/add.js', '/cart.js', '/cart/add.js', '/cart.js']);
+    assert.equal(count(page), '6');
+});
+
+test('removes a line optimistically through Fresh.cart.change', async t => {
+    const page = await createPage('cart', { fetch: shop([{ key: 'k1', id: 1, quantity: 2 }, { key: 'k2', id: 2, quantity: 1 }]) });
+    t.after(page.close);
+    await page.sleep(0);
+
+    const change = page.Fresh.cart.change('k1', 0);
+    assert.equal(count(page), '1');
+    assert.deepEqual(Array.from(page.Fresh.cart.state.items, item => item.key), ['k2']);
+    const cart = await change;
+    assert.equal(cart.item_count, 1);
+    assert.deepEqual(page.requests[1].body, { id: 'k1', quantity: 0 });
+});
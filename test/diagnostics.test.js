@@ -0,0 +1,93 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+test('opens the overlay when the script runs after the document was parsed', async t => {
+    const page = await createPage('accordion', { deferred: true, url: 'https://freshwater.test/?fresh_debug=overlay' });
+    t.after(page.close);
+
+    assert.ok(page.$('.fresh-debug'));
+    assert.equal(page.Fresh.debug.enabled, true);
+    assert.ok(page.Fresh.debug.stats().accordion.instances > 0, 'the components still initialized');
+    page.click(page.$('#faq-shipping .accordion-header'));
+    assert.equal(page.$('#faq-shipping .accordion-header').getAttribute('aria-expanded'), 'true');
+});
+
+test('opens the overlay once the document is parsed when the script runs while it is loading', async t => {
+    const page = await createPage('accordion', { url: 'https://freshwater.test/?fresh_debug=overlay' });
+    t.after(page.close);
+    assert.equal(page.$$('.fresh-debug').length, 1);
+    assert.match(page.$('.fresh-debug tbody').textContent, /accordion/);
+});
+
+test('keeps the console silent on a live store unless the store config raises the log level', async t => {
+    const live = await createPage('hero');
+    t.after(live.close);
+    assert.deepEqual(live.errors, [], 'the invalid data-slick JSON is not reported');
+    assert.deepEqual(live.warnings, []);
+    live.Fresh.log.error('broken');
+    assert.deepEqual(live.errors, []);
+
+    const logged = await createPage('hero', { config: { logLevel: 'warn' } });
+    t.after(logged.close);
+    assert.ok(logged.errors.some(args => /invalid data-slick JSON/.test(args[0])));
+    logged.Fresh.log.warn('odd');
+    logged.Fresh.log.info('fine');
+    assert.deepEqual(logged.warnings.map(args => args[0]), ['Freshwater: odd']);
+});
+
+test('logs everything in diagnostics mode', async t => {
+    const page = await createPage('hero', { url: 'https://freshwater.test/?fresh_debug=1' });
+    t.after(page.close);
+    assert.ok(page.errors.some(args => /invalid data-slick JSON/.test(args[0])));
+    assert.ok(page.Fresh.debug.entries.some(entry => entry.level === 'error' && entry.component === 'carousel'));
+});
+
+test('counts each bound listener once and only removals of counted ones', async t => {
+    const page = await createPage('accordion', { url: 'https://freshwater.test/?fresh_debug=1' });
+    t.after(page.close);
+    const onClick = () => {};
+    page.Fresh.register({
+        name: 'probe',
+        selector: '#faq-shipping',
+        init(element) {
+            element.removeEventListener('click', onClick);
+            element.removeEventListener('click', onClick, true);
+            element.addEventListener('click', onClick);
+            element.addEventListener('click', onClick);
+            element.addEventListener('click', onClick, true);
+            return {};
+        },
+        destroy(element) {
+            element.removeEventListener('click', onClick);
+            element.removeEventListener('click', onClick);
+            element.removeEventListener('click', onClick, true);
+        }
+    });
+    page.Fresh.init();
+    assert.equal(page.Fresh.debug.stats().probe.listeners, 2);
+
+    const accordion = page.Fresh.debug.stats().accordion.listeners;
+    await page.reloadSection('faq');
+    await page.reloadSection('faq');
+    assert.equal(page.Fresh.debug.stats().probe.listeners, 2, 'bound again after each reload');
+    assert.equal(page.Fresh.debug.stats().accordion.listeners, accordion);
+});
+
+test('reports a second copy of the script only at the store\'s log level', async t => {
+    const source = require('node:fs').readFileSync(require.resolve('../v2/0-global.js'), 'utf8');
+
+    const live = await createPage('accordion');
+    t.after(live.close);
+    const components = live.Fresh.components;
+    live.window.eval(source);
+    assert.deepEqual(live.warnings, []);
+    assert.equal(live.Fresh.components, components, 'the second copy changed nothing');
+
+    const verbose = await createPage('accordion', { config: { logLevel: 'warn' } });
+    t.after(verbose.close);
+    verbose.window.eval(source);
+    assert.deepEqual(verbose.warnings.map(([message]) => message), ['Freshwater: 0-global.js was included more than once, ignoring the second copy']);
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+const sectionId = 'sections--22372133503290__header';
+
+function hideOnScroll(window) {
+    window.document.querySelector('sticky-header').setAttribute('data-fresh-hide-on-scroll', '');
+}
+
+//the sentinel leaves the viewport once the page is scrolled past the threshold
+function scrollPastThreshold(page) {
+    page.intersect(page.$('.fresh-header-sentinel'), false, { top: -10 });
+}
+
+test('starts the sticky header in the top state', async t => {
+    const page = await createPage('header-group');
+    t.after(page.close);
+    const header = page.$('sticky-header');
+
+    assert.equal(header.getAttribute('data-fresh-state'), 'top');
+    assert.ok(header.classList.contains('fresh-header--top'));
+    assert.ok(!header.classList.contains('fresh-scrolled'));
+    assert.equal(page.$$('.fresh-header-sentinel').length, 1);
+    assert.equal(page.$('.fresh-header-sentinel').getAttribute('aria-hidden'), 'true');
+    assert.equal(page.Fresh.header.state, 'top');
+});
+
+test('switches to the scrolled state past the threshold', async t => {
+    const page = await createPage('header-group');
+    t.after(page.close);
+    const header = page.$('sticky-header'),
+          changes = [];
+    page.document.addEventListener('fresh:header:change', event => changes.push(event.detail.state));
+
+    scrollPastThreshold(page);
+    assert.equal(header.getAttribute('data-fresh-state'), 'scrolled');
+    assert.ok(header.classList.contains('fresh-scrolled'));
+    assert.ok(!header.classList.contains('fresh-header--top'));
+
+    page.intersect(page.$('.fresh-header-sentinel'), true);
+    assert.equal(header.getAttribute('data-fresh-state'), 'top');
+    assert.deepEqual(changes, ['scrolled', 'top']);
+});
+
+test('hides on scroll down and reveals on scroll up with data-fresh-hide-on-scroll', async t => {
+    const page = await createPage('header-group', { setup: hideOnScroll });
+    t.after(page.close);
+    const header = page.$('sticky-header'),
+          section = page.$('.section-header');
+
+    scrollPastThreshold(page);
+    await page.scroll(400);
+    assert.equal(header.getAttribute('data-fresh-state'), 'hidden');
+    assert.ok(section.classList.contains('fresh-header-hidden'));
+    assert.ok(header.classList.contains('fresh-scroll-down'));
+    assert.equal(page.document.documentElement.style.getPropertyValue('--fresh-header-offset'), '0px');
+
+    await page.scroll(395);
+    assert.equal(header.getAttribute('data-fresh-state'), 'hidden', 'within the scroll tolerance');
+
+    await page.scroll(200);
+    assert.equal(header.getAttribute('data-fresh-state'), 'revealed');
+    assert.ok(!section.classList.contains('fresh-header-hidden'));
+    assert.ok(header.classList.contains('fresh-scroll-up'));
+});
+
+test('stays visible while another component holds it', async t => {
+    const page = await createPage('header-group', { setup: hideOnScroll });
+    t.after(page.close);
+    const header = page.$('sticky-header');
+
+    page.Fresh.header.lock('test');
+    scrollPastThreshold(page);
+    await page.scroll(600);
+    assert.equal(header.getAttribute('data-fresh-state'), 'scrolled');
+
+    page.Fresh.header.unlock('test');
+    await page.scroll(900);
+    assert.equal(header.getAttribute('data-fresh-state'), 'hidden');
+});
+
+test('does not stack sentinels or listeners when the header is reloaded', async t => {
+    const page = await createPage('header-group', { setup: hideOnScroll });
+    t.after(page.close);
+    const windowListeners = page.listeners(page.window),
+          documentListeners = page.listeners(page.document);
+
+    await page.reloadSection(sectionId);
+    page.editorEvent('block:load', sectionId);
+    await page.sleep(0);
+
+    assert.equal(page.$$('.fresh-header-sentinel').length, 1);
+    assert.equal(page.$('sticky-header').getAttribute('data-fresh-state'), 'top');
+    assert.equal(page.listeners(page.window), windowListeners);
+    assert.equal(page.listeners(page.document), documentListeners);
+
+    //the new header instance is the one that reacts
+    scrollPastThreshold(page);
+    assert.equal(page.$('sticky-header').getAttribute('data-fresh-state'), 'scrolled');
+});
+
+test('falls back to scroll checks and a one-time measurement without the layout observers', async t => {
+    const page = await createPage('header-group', {
+        setup(window) {
+            delete window.IntersectionObserver;
+            delete window.ResizeObserver;
+            window.Element.prototype.getBoundingClientRect = function () {
+                return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: this.tagName === 'STICKY-HEADER' ? 80 : 0 };
+            };
+        }
+    });
+    t.after(page.close);
+    const header = page.$('sticky-header');
+
+    assert.deepEqual(page.errors, []);
+    assert.equal(page.document.documentElement.style.getPropertyValue('--fresh-header-height'), '80px');
+    assert.equal(page.$('.fresh-header-sentinel').style.top, '80px');
+
+    await page.scroll(120);
+    assert.equal(header.getAttribute('data-fresh-state'), 'scrolled');
+    await page.scroll(20);
+    assert.equal(header.getAttribute('data-fresh-state'), 'top');
+});
+
+test('announces breakpoint changes once per crossing', async t => {
+    const page = await createPage('header-group', { width: 375 });
+    t.after(page.close);
+    const changes = [];
+    page.Fresh.on('breakpointchange', event => changes.push([event.detail.previous, event.detail.current]));
+
+    await page.resize(400);
+    await page.resize(800);
+    await page.resize(1200);
+    await page.resize(1100);
+    assert.deepEqual(changes, [['sm', 'md'], ['md', 'lg']]);
+    assert.equal(page.Fresh.breakpoints.current, 'lg');
+});
@@ -0,0 +1,346 @@
+/*
+ * Loads v2/0-global.js into a jsdom page built from a fixture, with the browser APIs jsdom
+ * lacks (layout observers, matchMedia, media playback) and the jQuery plugins (Slick,
+ * LazyLoad) stubbed, so the components can be exercised offline.
+ *
+ * const page = await createPage('accordion', { width: 375 });
+ * page.click(page.$('.accordion-header'));
+ * await page.resize(1200);
+ * await page.reloadSection('faq');
+ *
+ * const page = await createPage('cart', { fetch: { '/cart.js': () => cart } });
+ * page.requests  // [{ url: '/cart.js', method: 'GET', body: null }]
+ */
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const root = path.resolve(__dirname, '../..');
+const scripts = {
+    jquery: fs.readFileSync(require.resolve('jquery'), 'utf8'),
+    global: fs.readFileSync(path.join(root, 'v2/0-global.js'), 'utf8'),
+    bootstrap: fs.readFileSync(path.join(root, 'v3/0-freshwater.js'), 'utf8')
+};
+
+//the header group export lives next to the script, the other fixtures in test/fixtures
+function readFixture(name) {
+    const file = name === 'header-group' ? path.join(root, 'v2/0-header-group.html') : path.join(__dirname, '../fixtures', name + '.html');
+    return fs.readFileSync(file, 'utf8');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * matchMedia driven by the page width, 'change' listeners fire when resize() crosses a query.
+ */
+function stubMatchMedia(window, page) {
+    const queries = [];
+    const evaluate = media => media.split(/\s+and\s+/).every(part => {
+        const match = /\((min|max)-width:\s*([\d.]+)px\)/.exec(part);
+        if (match) return match[1] === 'min' ? page.width >= Number(match[2]) : page.width <= Number(match[2]);
+        if (/prefers-reduced-motion:\s*reduce/.test(part)) return page.reducedMotion;
+        return /hover:\s*hover|pointer:\s*fine/.test(part);
+    });
+    window.matchMedia = media => {
+        const listeners = new Set(),
+              query = {
+                  media,
+                  matches: evaluate(media),
+                  addEventListener: (type, listener) => listeners.add(listener),
+                  removeEventListener: (type, listener) => listeners.delete(listener),
+                  addListener: listener => listeners.add(listener),
+                  removeListener: listener => listeners.delete(listener),
+                  update() {
+                      const matches = evaluate(media);
+                      if (matches === query.matches) return;
+                      query.matches = matches;
+                      listeners.forEach(listener => listener({ matches, media }));
+                  }
+              };
+        queries.push(query);
+        return query;
+    };
+    return queries;
+}
+
+/**
+ * IntersectionObserver / ResizeObserver that only report when a test says so.
+ */
+function stubObservers(window, page) {
+    window.IntersectionObserver = class {
+        constructor(callback, options) {
+            this.callback = callback;
+            this.options = options;
+            this.targets = new Set();
+            page.observers.add(this);
+        }
+        observe(target) { this.targets.add(target); }
+        unobserve(target) { this.targets.delete(target); }
+        disconnect() { this.targets.clear(); page.observers.delete(this); }
+        takeRecords() { return []; }
+    };
+    window.ResizeObserver = class {
+        constructor(callback) { this.callback = callback; }
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+}
+
+/**
+ * Counts the listeners bound per target, so tests can check a re-render doesn't stack them.
+ * Listeners are told apart the way the browser does (type, handler and capture), so adding one
+ * twice or removing one that was never added doesn't change the count.
+ */
+function countListeners(window) {
+    const bound = new WeakMap(),
+          proto = window.EventTarget.prototype,
+          add = proto.addEventListener,
+          remove = proto.removeEventListener;
+    const listeners = target => bound.get(target) || bound.set(target, new Set()).get(target),
+          key = (type, options) => type + ':' + (typeof options === 'boolean' ? options : !!(options && options.capture));
+    proto.addEventListener = function (type, listener, options) {
+        if (listener) {
+            const entries = listeners(this),
+                  found = Array.from(entries).some(entry => entry.key === key(type, options) && entry.listener === listener);
+            if (!found) entries.add({ key: key(type, options), listener });
+        }
+        return add.apply(this, arguments);
+    };
+    proto.removeEventListener = function (type, listener, options) {
+        const entries = listeners(this);
+        entries.forEach(entry => entry.key === key(type, options) && entry.listener === listener && entries.delete(entry));
+        return remove.apply(this, arguments);
+    };
+    return target => listeners(target).size;
+}
+
+/**
+ * A fetch answering from a table of routes by path name, e.g. a local mock of Shopify's AJAX
+ * endpoints. A handler gets { url, method, body } (the body parsed as JSON when it is JSON) and
+ * returns the response body (objects are sent as JSON) or reply(status, body). Handlers may be
+ * async, and requests are aborted through their signal. Unknown routes answer 404.
+ */
+class Reply {
+    constructor(status, body) {
+        this.status = status;
+        this.body = body;
+    }
+}
+
+const reply = (status, body) => new Reply(status, body);
+
+function stubFetch(window, page, routes) {
+    window.fetch = (input, init = {}) => {
+        const url = new window.URL(String(input), window.location.href),
+              method = (init.method || 'GET').toUpperCase();
+        let body = init.body === undefined ? null : init.body;
+        try {
+            body = typeof body === 'string' ? JSON.parse(body) : body;
+        } catch (error) {
+            //not JSON, keep it as it was sent
+        }
+        const request = { url: url.pathname + url.search, method, body };
+        page.requests.push(request);
+
+        return new Promise((resolve, reject) => {
+            const abort = () => reject(new window.DOMException('The operation was aborted.', 'AbortError'));
+            if (init.signal) {
+                if (init.signal.aborted) return abort();
+                init.signal.addEventListener('abort', abort);
+            }
+            const handler = routes[url.pathname];
+            Promise.resolve(handler ? handler(request) : reply(404, { status: 404, description: 'Not found' })).then(result => {
+                const response = result instanceof Reply ? result : reply(200, result),
+                      text = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+                resolve({
+                    ok: response.status >= 200 && response.status < 300,
+                    status: response.status,
+                    statusText: String(response.status),
+                    json: () => Promise.resolve(JSON.parse(text)),
+                    text: () => Promise.resolve(text)
+                });
+            }, reject);
+        });
+    };
+}
+
+function stubPlugins(window, page) {
+    const $ = window.jQuery;
+    $.fn.slick = function (settings) {
+        return this.each(function () {
+            page.slick.push({ element: this, settings });
+            if (settings === 'unslick') {
+                this.classList.remove('slick-initialized', 'slick-slider');
+                return;
+            }
+            this.classList.add('slick-initialized', 'slick-slider');
+            this.slick = { options: settings };
+            $(this).trigger('init', [this.slick]);
+        });
+    };
+    window.LazyLoad = class {
+        constructor(options) {
+            this.options = options;
+            this.updates = 0;
+            page.lazyLoad.push(this);
+        }
+        update() { this.updates++; }
+        destroy() {}
+    };
+}
+
+/**
+ * Builds a page from a fixture and runs 0-global.js in it.
+ *
+ * @param {String} fixture - A file name in test/fixtures without '.html', or 'header-group'.
+ * @param {Object} [options]
+ * @param {Number} [options.width] - The viewport width, defaults to 1200.
+ * @param {Object} [options.config] - Rendered as the #fresh-config store config.
+ * @param {String} [options.url] - The page URL, e.g. with a hash.
+ * @param {Boolean} [options.jquery] - Load jQuery and the plugin stubs, defaults to true.
+ * @param {Boolean} [options.reducedMotion] - Whether the user prefers reduced motion.
+ * @param {Function} [options.setup] - Called with the window before the script runs, e.g. to fake layout.
+ * @param {Object} [options.fetch] - Routes answered by the fetch stub, see stubFetch().
+ * @param {Boolean} [options.deferred] - Run the script once the document is parsed, the way a deferred or
+ * async script (the v3 bootstrap's bundle) runs, instead of while it is still loading.
+ * @param {Boolean|Function} [options.bootstrap] - Run the v3 bootstrap after setup, which then stands in for
+ * inline scripts before it, and leave moving jQuery to $0 to it. A function is called with the window once the
+ * bootstrap ran, the way theme scripts between the bootstrap and the bundle run.
+ * @returns {Promise<Object>} The page helpers, once the components have initialized.
+ */
+async function createPage(fixture, options = {}) {
+    const config = options.config ? `<script type="application/json" id="fresh-config">${JSON.stringify(options.config)}</script>` : '',
+          dom = new JSDOM(`<!DOCTYPE html><html><head>${config}</head><body>${readFixture(fixture)}</body></html>`, {
+              url: options.url || 'https://freshwater.test/',
+              pretendToBeVisual: true,
+              runScripts: 'outside-only'
+          }),
+          window = dom.window,
+          document = window.document;
+
+    const page = {
+        window,
+        document,
+        width: options.width || 1200,
+        reducedMotion: !!options.reducedMotion,
+        observers: new Set(),
+        slick: [],
+        lazyLoad: [],
+        requests: [],
+        errors: [],
+        warnings: [],
+        $: selector => document.querySelector(selector),
+        $$: selector => Array.from(document.querySelectorAll(selector)),
+        sleep,
+        bootstrap: () => window.eval(scripts.bootstrap),
+        frame: () => new Promise(resolve => window.requestAnimationFrame(() => resolve())),
+
+        async resize(width) {
+            page.width = width;
+            Object.defineProperty(window, 'innerWidth', { configurable: true, value: width });
+            queries.forEach(query => query.update());
+            window.dispatchEvent(new window.Event('resize'));
+            //past the 100ms resize debounce
+            await sleep(150);
+        },
+        async scroll(y) {
+            Object.defineProperty(window, 'scrollY', { configurable: true, value: y });
+            Object.defineProperty(window, 'pageYOffset', { configurable: true, value: y });
+            window.dispatchEvent(new window.Event('scroll'));
+            await page.frame();
+        },
+        //reports an intersection change to every observer watching the element
+        intersect(element, isIntersecting, rect = {}) {
+            page.observers.forEach(observer => {
+                if (!observer.targets.has(element)) return;
+                observer.callback([{
+                    target: element,
+                    isIntersecting,
+                    intersectionRatio: isIntersecting ? 1 : 0,
+                    boundingClientRect: Object.assign({ top: 0, bottom: 0, left: 0, right: 0, width: 0, height: 0 }, rect)
+                }], observer);
+            });
+        },
+        click(element, init = {}) {
+            element.dispatchEvent(new window.MouseEvent('click', Object.assign({ bubbles: true, cancelable: true, button: 0 }, init)));
+        },
+        key(element, key, init = {}) {
+            element.dispatchEvent(new window.KeyboardEvent('keydown', Object.assign({ bubbles: true, cancelable: true, key }, init)));
+        },
+        //the theme editor replaces the section's markup and announces it
+        async reloadSection(sectionId, html) {
+            const section = document.getElementById('shopify-section-' + sectionId);
+            section.dispatchEvent(new window.CustomEvent('shopify:section:unload', { bubbles: true, detail: { sectionId } }));
+            const fresh = section.cloneNode(false);
+            fresh.innerHTML = html === undefined ? page.original[sectionId] : html;
+            section.replaceWith(fresh);
+            fresh.dispatchEvent(new window.CustomEvent('shopify:section:load', { bubbles: true, detail: { sectionId } }));
+            await sleep(0);
+            return fresh;
+        },
+        editorEvent(type, sectionId, blockId, target) {
+            target = target || document.getElementById('shopify-section-' + sectionId);
+            target.dispatchEvent(new window.CustomEvent('shopify:' + type, { bubbles: true, detail: { sectionId, blockId } }));
+        },
+        close() {
+            window.close();
+        }
+    };
+
+    Object.defineProperty(window, 'innerWidth', { configurable: true, value: page.width });
+    window.scrollTo = window.scroll = () => {};
+    window.Element.prototype.scrollTo = function (options) {
+        if (options && typeof options.left === 'number') this.scrollLeft = options.left;
+    };
+    window.Element.prototype.scrollIntoView = () => {};
+    window.HTMLMediaElement.prototype.play = function () {
+        Object.defineProperty(this, 'paused', { configurable: true, value: false });
+        return Promise.resolve();
+    };
+    window.HTMLMediaElement.prototype.pause = function () {
+        Object.defineProperty(this, 'paused', { configurable: true, value: true });
+    };
+    window.HTMLMediaElement.prototype.load = () => {};
+    window.CSS = window.CSS || {};
+    window.CSS.escape = window.CSS.escape || (value => String(value).replace(/[^\w-]/g, character => '\\' + character));
+    //kept for assertions instead of cluttering the test output
+    window.console.error = (...args) => page.errors.push(args);
+    window.console.warn = (...args) => page.warnings.push(args);
+
+    const queries = stubMatchMedia(window, page);
+    stubObservers(window, page);
+    stubFetch(window, page, options.fetch || {});
+    page.listeners = countListeners(window);
+
+    if (options.jquery !== false) {
+        window.eval(scripts.jquery);
+        if (!options.bootstrap) window.$0 = window.jQuery.noConflict();
+        stubPlugins(window, page);
+    }
+    if (options.setup) options.setup(window, page);
+    if (options.bootstrap) {
+        page.bootstrap();
+        if (typeof options.bootstrap === 'function') options.bootstrap(window, page);
+    }
+
+    //markup as it was served, before any component touched it
+    page.original = {};
+    document.querySelectorAll('.shopify-section').forEach(section => {
+        page.original[section.id.replace(/^shopify-section-/, '')] = section.innerHTML;
+    });
+
+    const parsed = () => document.readyState === 'loading' && new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    if (options.deferred) await parsed();
+    window.eval(scripts.global);
+    page.Fresh = window.Fresh;
+
+    //components initialize on DOMContentLoaded
+    await parsed();
+    await sleep(0);
+    return page;
+}
+
+module.exports = { createPage, readFixture, reply, sleep };
@@ -0,0 +1,89 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+//jsdom has no layout, give the hero and its box a size
+function size(element, width, height) {
+    Object.defineProperty(element, 'offsetWidth', { configurable: true, value: width });
+    Object.defineProperty(element, 'offsetHeight', { configurable: true, value: height });
+}
+
+function position(box) {
+    return { left: box.style.left, top: box.style.top };
+}
+
+test('positions the box from the widest matching breakpoint of data-herobox', async t => {
+    const page = await createPage('hero', { width: 1200 });
+    t.after(page.close);
+    const hero = page.$('#shopify-section-hero .fresh-hero'),
+          box = hero.querySelector('.fresh-hero__box');
+    size(hero, 1000, 500);
+    size(box, 200, 100);
+
+    await page.resize(375);
+    assert.deepEqual(position(box), { left: '80px', top: '320px' });
+    await page.resize(900);
+    assert.deepEqual(position(box), { left: '400px', top: '200px' }, 'breakpoint names work as keys');
+    await page.resize(1300);
+    assert.deepEqual(position(box), { left: '720px', top: '80px' });
+    assert.equal(box.style.display, 'block');
+    assert.ok(hero.classList.contains('fresh-hero--positioned'));
+});
+
+test('reads the legacy sm / md attributes and hides empty boxes', async t => {
+    const page = await createPage('hero', { width: 375 });
+    t.after(page.close);
+    const [first, second] = page.$$('#hero-carousel .fresh-hero'),
+          box = first.querySelector('.fresh-hero__box');
+    size(first, 400, 600);
+    size(box, 100, 100);
+
+    await page.resize(1000);
+    assert.deepEqual(position(box), { left: '300px', top: '0px' });
+    await page.resize(375);
+    assert.deepEqual(position(box), { left: '0px', top: '500px' });
+    assert.equal(second.querySelector('.fresh-hero__box').style.display, 'none');
+});
+
+test('initializes every carousel even when one has invalid data-slick JSON', async t => {
+    const page = await createPage('hero', { config: { logLevel: 'error' } });
+    t.after(page.close);
+    const broken = page.$('#broken-carousel'),
+          carousel = page.$('#hero-carousel');
+
+    assert.ok(!broken.classList.contains('slick-initialized'));
+    assert.ok(page.errors.some(args => /invalid data-slick JSON/.test(args[0])));
+    assert.ok(carousel.classList.contains('slick-initialized'));
+    const call = page.slick.find(call => call.element === carousel);
+    assert.equal(call.settings.slidesToShow, 1);
+
+    //the hero layout follows Slick's init event
+    page.$$('#hero-carousel .fresh-hero').forEach(hero => assert.ok(hero.classList.contains('fresh-hero--positioned')));
+});
+
+test('unslicks and re-initializes the carousel when the section is reloaded', async t => {
+    const page = await createPage('hero');
+    t.after(page.close);
+    const documentListeners = page.listeners(page.document),
+          windowListeners = page.listeners(page.window);
+
+    await page.reloadSection('slideshow');
+    assert.ok(page.slick.some(call => call.settings === 'unslick'));
+    assert.ok(page.$('#hero-carousel').classList.contains('slick-initialized'));
+    assert.equal(page.slick.filter(call => call.settings !== 'unslick').length, 2, 'once per load');
+    assert.equal(page.listeners(page.document), documentListeners);
+    assert.equal(page.listeners(page.window), windowListeners);
+});
+
+test('leaves other sections alone on a section reload', async t => {
+    const page = await createPage('hero');
+    t.after(page.close);
+    const hero = page.$('#shopify-section-hero .fresh-hero'),
+          box = hero.querySelector('.fresh-hero__box');
+    box.style.left = '5px';
+
+    await page.reloadSection('slideshow');
+    assert.equal(box.style.left, '5px');
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+const image = (page, id) => page.$('#' + id);
+const loaded = img => img.dispatchEvent(new img.ownerDocument.defaultView.Event('load'));
+
+//the ResizeObserver watching images, reporting when the test says so
+function resizes(window, page) {
+    window.ResizeObserver = class {
+        constructor(callback) { page.resized = entries => callback(entries); }
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+}
+
+test('builds a srcset from Shopify CDN images and shows a placeholder until they load', async t => {
+    const page = await createPage('images', { setup: resizes });
+    t.after(page.close);
+    const img = image(page, 'product-image');
+
+    assert.equal(img.getAttribute('data-fresh-image'), 'pending');
+    assert.equal(img.hasAttribute('src'), false, 'nothing loads before it nears the viewport');
+    assert.equal(img.style.backgroundImage, 'url("//freshwater.test/cdn/shop/files/socks.jpg?v=1&width=32")');
+    assert.ok(img.classList.contains('fresh-image--placeholder'));
+    assert.equal(img.sizes, '100vw');
+    page.resized([{ target: img, contentRect: { width: 412.3 } }]);
+    assert.equal(img.sizes, '413px', 'auto sizes follow the rendered width');
+
+    page.intersect(img, true);
+    assert.equal(img.getAttribute('src'), '//freshwater.test/cdn/shop/files/socks.jpg?v=1&width=800');
+    assert.equal(img.getAttribute('srcset'), [180, 360, 540, 720].map(width => `//freshwater.test/cdn/shop/files/socks.jpg?v=1&width=${width} ${width}w`).join(', '));
+
+    loaded(img);
+    await page.sleep(0);
+    assert.equal(img.getAttribute('data-fresh-image'), 'loaded');
+    assert.equal(img.classList.contains('fresh-image--placeholder'), false);
+    assert.equal(img.style.backgroundImage, '');
+});
+
+test('takes widths, sizes and placeholders from the markup', async t => {
+    const page = await createPage('images');
+    t.after(page.close);
+    const thumbnail = image(page, 'thumbnail'),
+          badge = image(page, 'badge'),
+          hero = image(page, 'hero-image');
+
+    assert.equal(thumbnail.sizes, '50vw');
+    assert.equal(thumbnail.style.backgroundImage, '');
+    page.intersect(thumbnail, true);
+    assert.equal(thumbnail.getAttribute('srcset'), '//freshwater.test/cdn/shop/files/socks.jpg?v=1&width=360 360w, //freshwater.test/cdn/shop/files/socks.jpg?v=1&width=720 720w');
+
+    page.intersect(badge, true);
+    assert.equal(badge.getAttribute('src'), 'https://badges.example.com/award.png', 'third party images are left as they are');
+    assert.equal(badge.hasAttribute('srcset'), false);
+    assert.equal(badge.style.backgroundImage, '');
+
+    assert.equal(hero.loading, 'eager');
+    assert.equal(hero.getAttribute('src'), '//freshwater.test/cdn/shop/files/hero.jpg?v=1&width=1080', 'eager images load right away');
+});
+
+test('leaves lazy loading to the browser where it supports it', async t => {
+    const page = await createPage('images', {
+        setup: window => Object.defineProperty(window.HTMLImageElement.prototype, 'loading', {
+            configurable: true,
+            get() { return this.getAttribute('loading') || 'auto'; },
+            set(value) { this.setAttribute('loading', value); }
+        })
+    });
+    t.after(page.close);
+    const img = image(page, 'product-image'),
+          logo = image(page, 'logo-one');
+
+    assert.equal(img.loading, 'lazy');
+    assert.equal(img.getAttribute('src'), '//freshwater.test/cdn/shop/files/socks.jpg?v=1&width=800');
+    assert.equal(logo.hasAttribute('src'), false, 'carousel images still wait for the carousel');
+
+    page.intersect(page.$('#logo-carousel'), true);
+    assert.deepEqual([logo.loading, image(page, 'logo-two').loading], ['eager', 'eager']);
+    assert.ok(image(page, 'logo-two').getAttribute('src'));
+});
+
+test('picks up legacy LazyLoad markup and leaves other .lazy elements to the library', async t => {
+    const page = await createPage('images');
+    t.after(page.close);
+    const img = image(page, 'legacy-image');
+
+    assert.equal(img.classList.contains('lazy'), false);
+    page.intersect(img, true);
+    assert.equal(img.getAttribute('src'), '/legacy.jpg');
+    assert.equal(img.getAttribute('srcset'), '/legacy-1x.jpg 1x, /legacy-2x.jpg 2x');
+    assert.equal(page.lazyLoad.length, 1, 'the library still handles the background');
+    assert.equal(page.lazyLoad[0].options.elements_selector, '.lazy');
+});
+
+test('handles images added later and clones of loaded ones', async t => {
+    const page = await createPage('images');
+    t.after(page.close);
+    const carousel = page.$('#logo-carousel'),
+          logo = image(page, 'logo-one');
+
+    page.intersect(carousel, true);
+    loaded(logo);
+    await page.sleep(0);
+    const clone = logo.cloneNode();
+    clone.id = 'logo-clone';
+    carousel.append(clone);
+    page.$('#shopify-section-product').insertAdjacentHTML('beforeend', '<img id="added" data-fresh-src="//freshwater.test/cdn/shop/files/new.jpg?v=1" alt="">');
+    await page.sleep(0);
+
+    assert.equal(clone.loading, 'eager', 'the clone loads right away');
+    assert.equal(clone.getAttribute('data-fresh-image'), 'loaded');
+    const added = image(page, 'added');
+    assert.equal(added.getAttribute('data-fresh-image'), 'pending');
+    page.intersect(added, true);
+    assert.equal(added.getAttribute('src'), '//freshwater.test/cdn/shop/files/new.jpg?v=1&width=1080');
+});
+
+test('lets go of images that were removed', async t => {
+    const page = await createPage('images');
+    t.after(page.close);
+    const loading = image(page, 'product-image'),
+          waiting = image(page, 'thumbnail'),
+          observer = Array.from(page.observers).find(candidate => candidate.targets.has(waiting));
+    page.intersect(loading, true);
+    assert.equal(page.listeners(loading), 1);
+
+    loading.remove();
+    waiting.remove();
+    await page.sleep(0);
+    assert.equal(page.listeners(loading), 0);
+    assert.equal(observer.targets.has(waiting), false);
+});
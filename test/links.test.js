@@ -0,0 +1,79 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+//what the policy left on a link: [target, rel, marked as external]
+const policy = link => [link.getAttribute('target'), link.getAttribute('rel'), link.hasAttribute('data-fresh-external-link')];
+
+test('opens external links in a new window and leaves the store\'s own alone', async t => {
+    const page = await createPage('links');
+    t.after(page.close);
+    const link = id => policy(page.$('#' + id));
+
+    ['internal', 'own-domain', 'subdomain', 'checkout', 'mail', 'phone', 'opted-out', 'blog', 'review-page'].forEach(id => {
+        assert.deepEqual(link(id), [null, null, false], id);
+    });
+    assert.deepEqual(link('social'), ['_blank', 'noopener', true]);
+    assert.deepEqual(link('sponsored'), ['_blank', 'sponsored noopener', true], 'adds to the rel it had');
+    assert.deepEqual(link('own-target'), ['_self', null, true], 'a target of its own wins');
+    assert.deepEqual(link('same-window'), [null, null, true]);
+    assert.deepEqual(link('press'), [null, null, true], 'the section keeps it in the same window');
+});
+
+test('takes internal domains from the store config', async t => {
+    const page = await createPage('links', { config: { features: { 'external-links': { internalDomains: ['*.example.com'] } } } });
+    t.after(page.close);
+
+    assert.deepEqual(policy(page.$('#social')), ['_blank', 'noopener', true]);
+    assert.deepEqual(policy(page.$('#sponsored')), [null, 'sponsored', false]);
+    assert.equal(page.Fresh.links.isExternal('https://shop.example.com/'), false);
+    assert.equal(page.Fresh.links.isExternal('https://example.org/'), true);
+});
+
+test('handles links added or changed later, and re-checks the clicked one', async t => {
+    const page = await createPage('links', { config: { features: { analytics: { consent: false, sinks: ['dataLayer'] } } } });
+    t.after(page.close);
+    const footer = page.$('#shopify-section-footer');
+
+    footer.insertAdjacentHTML('beforeend', '<p><a id="added" href="https://tiktok.com/@freshwater">TikTok</a></p>');
+    page.$('#internal').setAttribute('href', 'https://youtube.com/freshwater');
+    await page.sleep(0);
+    assert.deepEqual(policy(page.$('#added')), ['_blank', 'noopener', true]);
+    assert.deepEqual(policy(page.$('#internal')), ['_blank', 'noopener', true]);
+
+    //a link the observer hasn't seen yet, the way a script might build one
+    const late = page.document.createElement('a');
+    late.href = 'https://pinterest.com/freshwater';
+    late.textContent = 'Pinterest';
+    footer.append(late);
+    late.addEventListener('click', event => event.preventDefault());
+    page.click(late);
+    assert.equal(late.target, '_blank');
+    assert.deepEqual(Array.from(page.window.dataLayer, entry => [entry.event, entry.link_domain, entry.link_text, entry.section_id]),
+        [['external_link_click', 'pinterest.com', 'Pinterest', 'footer']]);
+});
+
+test('applies the policy inside a root through Fresh.links.apply', async t => {
+    const page = await createPage('links');
+    t.after(page.close);
+    page.$('#social').removeAttribute('target');
+    page.$('#press').removeAttribute('data-fresh-external-link');
+
+    page.Fresh.links.apply(page.$('#shopify-section-press'));
+    assert.equal(page.$('#social').hasAttribute('target'), false, 'outside the root');
+    assert.equal(page.$('#press').hasAttribute('data-fresh-external-link'), true);
+});
+
+test('stops watching the document once destroyed', async t => {
+    const page = await createPage('links');
+    t.after(page.close);
+    const listeners = page.listeners(page.document);
+
+    page.Fresh.destroy();
+    assert.ok(page.listeners(page.document) < listeners);
+    page.$('#shopify-section-footer').insertAdjacentHTML('beforeend', '<a id="added" href="https://tiktok.com/">TikTok</a>');
+    await page.sleep(0);
+    assert.deepEqual(policy(page.$('#added')), [null, null, false]);
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+const selected = (page, root) => page.$$(`${root} [role="tab"]`).map(tab => tab.getAttribute('aria-selected'));
+const visibleTexts = (page, root) => page.$$(`${root} [role="tabpanel"]`).filter(text => !text.hidden).map(text => text.textContent.trim());
+
+test('turns the logos into tabs and their texts into tab panels', async t => {
+    const page = await createPage('logobar');
+    t.after(page.close);
+    const tabs = page.$$('#shopify-section-press [role="tab"]'),
+          list = page.$('.fresh-logobar-list');
+
+    assert.equal(list.getAttribute('role'), 'tablist');
+    assert.equal(tabs.length, 3, 'the logo without a text is left out');
+    assert.ok(!page.$('.fresh-logobar--orphan').hasAttribute('role'));
+    tabs.forEach(tab => {
+        const panel = page.document.getElementById(tab.getAttribute('aria-controls'));
+        assert.equal(panel.getAttribute('role'), 'tabpanel');
+        assert.equal(panel.getAttribute('aria-labelledby'), tab.id);
+    });
+    assert.deepEqual(selected(page, '#shopify-section-press'), ['true', 'false', 'false']);
+    assert.deepEqual(tabs.map(tab => tab.tabIndex), [0, -1, -1]);
+    assert.deepEqual(visibleTexts(page, '#shopify-section-press'), ['"The shoe of the summer."']);
+});
+
+test('selects a logo on click and reports it', async t => {
+    const page = await createPage('logobar', { config: { features: { analytics: { consent: false } } } });
+    t.after(page.close);
+    const events = [];
+    page.document.addEventListener('fresh:bragbar:select', event => events.push([event.detail.blockId, event.detail.index, event.detail.trigger]));
+
+    page.click(page.$('.fresh-logobar--gq img'));
+    assert.deepEqual(selected(page, '#shopify-section-press'), ['false', 'true', 'false']);
+    assert.deepEqual(visibleTexts(page, '#shopify-section-press'), ['"Comfort, finally."']);
+    assert.deepEqual(events, [['gq', 1, 'user']]);
+    assert.deepEqual(Array.from(page.window.dataLayer, entry => [entry.event, entry.section_id, entry.logo_name]), [['logo_select', 'press', 'GQ']]);
+
+    //a logo without a text is inert instead of throwing
+    page.click(page.$('.fresh-logobar--orphan'));
+    assert.deepEqual(selected(page, '#shopify-section-press'), ['false', 'true', 'false']);
+    assert.deepEqual(page.errors, []);
+});
+
+test('moves the selection with the arrow keys, Home and End', async t => {
+    const page = await createPage('logobar');
+    t.after(page.close);
+    const tabs = page.$$('#shopify-section-press [role="tab"]');
+
+    page.key(tabs[0], 'ArrowRight');
+    assert.equal(page.document.activeElement, tabs[1]);
+    assert.deepEqual(selected(page, '#shopify-section-press'), ['false', 'true', 'false']);
+    page.key(tabs[1], 'End');
+    assert.equal(page.document.activeElement, tabs[2]);
+    page.key(tabs[2], 'ArrowRight');
+    assert.equal(page.document.activeElement, tabs[0], 'wraps around');
+    page.key(tabs[0], 'ArrowLeft');
+    assert.deepEqual(selected(page, '#shopify-section-press'), ['false', 'false', 'true']);
+});
+
+test('keeps brag bars in the same section independent', async t => {
+    const page = await createPage('logobar');
+    t.after(page.close);
+
+    page.click(page.$('[data-block-id="b1"].fresh-logobar'));
+    assert.deepEqual(selected(page, '#reviews-a'), ['true', 'false']);
+    assert.deepEqual(selected(page, '#reviews-b'), ['true']);
+    assert.deepEqual(visibleTexts(page, '#reviews-a'), ['Great']);
+});
+
+test('rotates with data-bragbar-autoplay and pauses while hovered', async t => {
+    const page = await createPage('logobar');
+    t.after(page.close);
+    const bragbar = page.$('#reviews-a'),
+          rotations = [];
+    bragbar.addEventListener('fresh:bragbar:select', event => rotations.push(event.detail.trigger));
+
+    bragbar.dispatchEvent(new page.window.MouseEvent('mouseenter'));
+    await page.sleep(120);
+    assert.deepEqual(rotations, []);
+
+    bragbar.dispatchEvent(new page.window.MouseEvent('mouseleave'));
+    await page.sleep(120);
+    assert.ok(rotations.length > 0);
+    assert.ok(rotations.every(trigger => trigger === 'autoplay'));
+});
+
+test('follows the selected block in the theme editor', async t => {
+    const page = await createPage('logobar');
+    t.after(page.close);
+    const events = [];
+    page.document.addEventListener('fresh:bragbar:select', event => events.push(event.detail.trigger));
+
+    page.editorEvent('block:select', 'press', 'wired', page.$('.fresh-logobar--wired'));
+    assert.deepEqual(selected(page, '#shopify-section-press'), ['false', 'false', 'true']);
+    assert.deepEqual(events, ['editor']);
+});
+
+test('keeps the selection when the section is reloaded', async t => {
+    const page = await createPage('logobar');
+    t.after(page.close);
+    const documentListeners = page.listeners(page.document),
+          windowListeners = page.listeners(page.window);
+
+    page.click(page.$('.fresh-logobar--wired'));
+    await page.reloadSection('press');
+    await page.reloadSection('press');
+    assert.deepEqual(selected(page, '#shopify-section-press'), ['false', 'false', 'true']);
+    assert.deepEqual(visibleTexts(page, '#shopify-section-press'), ['"Engineered to last."']);
+    assert.equal(page.listeners(page.document), documentListeners);
+    assert.equal(page.listeners(page.window), windowListeners);
+});
+
+test('only warns about the logo without a text in diagnostics mode', async t => {
+    const quiet = await createPage('logobar');
+    t.after(quiet.close);
+    assert.equal(quiet.Fresh.debug.enabled, false);
+    assert.deepEqual(quiet.errors, []);
+
+    const debug = await createPage('logobar', { url: 'https://freshwater.test/?fresh_debug=1' });
+    t.after(debug.close);
+    const warning = debug.Fresh.debug.entries.find(entry => /brag bar logo without a matching text/.test(entry.message));
+    assert.equal(warning.level, 'warn');
+    assert.equal(warning.component, 'bragbar');
+    assert.equal(warning.args[0], debug.$('.fresh-logobar--orphan'));
+    assert.ok(debug.warnings.some(args => /brag bar logo without a matching text/.test(args[0])));
+    assert.deepEqual(quiet.warnings, []);
+    assert.equal(debug.Fresh.debug.stats().bragbar.instances, 3, 'the section around reviews-a / reviews-b is not an instance');
+});
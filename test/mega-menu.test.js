@@ -0,0 +1,138 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+const triggers = page => page.$$('#main-menu .fresh-mega-menu__trigger');
+const panels = page => page.$$('#main-menu .fresh-mega-menu__panel').map(panel => panel.hidden);
+
+//jsdom has no PointerEvent
+function pointer(page, type, target, pointerType = 'mouse') {
+    const event = new page.window.MouseEvent(type, { bubbles: type !== 'pointerleave', cancelable: true });
+    Object.defineProperty(event, 'pointerType', { value: pointerType });
+    target.dispatchEvent(event);
+    return event;
+}
+
+test('renders the menu JSON as a menubar with panels', async t => {
+    const page = await createPage('mega-menu', { url: 'https://freshwater.test/blogs/journal' });
+    t.after(page.close);
+    const [shop, journal, about] = triggers(page),
+          panel = page.document.getElementById(shop.getAttribute('aria-controls'));
+
+    assert.equal(page.$('#main-menu > ul').getAttribute('role'), 'menubar');
+    assert.deepEqual(triggers(page).map(trigger => trigger.tagName), ['A', 'A', 'BUTTON']);
+    assert.equal(shop.getAttribute('aria-haspopup'), 'true');
+    assert.equal(shop.getAttribute('aria-expanded'), 'false');
+    assert.equal(journal.hasAttribute('aria-haspopup'), false);
+    assert.equal(journal.getAttribute('aria-current'), 'page');
+    assert.deepEqual(triggers(page).map(trigger => trigger.tabIndex), [0, -1, -1]);
+    assert.ok(about);
+
+    assert.equal(panel.hidden, true);
+    assert.deepEqual(Array.from(panel.querySelectorAll('[role="menuitem"]'), link => link.textContent), ['Shop', 'Tops', 'Tees', 'Shirts', 'Bottoms'], 'the panel repeats its own link first');
+    assert.equal(panel.querySelector('.fresh-mega-menu__promo').getAttribute('href'), '/collections/new');
+    assert.equal(panel.querySelector('.fresh-mega-menu__promo-image').getAttribute('alt'), 'New season');
+});
+
+test('reads the nested lists when there is no menu JSON', async t => {
+    const page = await createPage('mega-menu');
+    t.after(page.close);
+    const panel = page.$('#footer-menu .fresh-mega-menu__panel');
+
+    assert.equal(page.$('#footer-menu .fresh-mega-menu__trigger').textContent, 'Sale');
+    assert.deepEqual(Array.from(panel.querySelectorAll('[role="menuitem"]'), link => link.textContent), ['Sale', 'Shoes']);
+    assert.equal(panel.querySelector('.fresh-mega-menu__promo-title').textContent, 'Last chance');
+});
+
+test('opens a panel once the mouse rests on its item and closes after it leaves', async t => {
+    const page = await createPage('mega-menu');
+    t.after(page.close);
+    const [shop, journal] = triggers(page);
+
+    pointer(page, 'pointerover', journal);
+    pointer(page, 'pointerover', shop);
+    assert.deepEqual(panels(page), [true, true]);
+    await page.sleep(40);
+    assert.deepEqual(panels(page), [false, true]);
+    assert.equal(shop.getAttribute('aria-expanded'), 'true');
+
+    pointer(page, 'pointerleave', page.$('#main-menu > ul'));
+    await page.sleep(350);
+    assert.deepEqual(panels(page), [true, true]);
+});
+
+test('opens on the first tap on touch screens and follows the link on the second', async t => {
+    const page = await createPage('mega-menu');
+    t.after(page.close);
+    const [shop] = triggers(page);
+
+    pointer(page, 'pointerdown', shop, 'touch');
+    const first = pointer(page, 'click', shop, 'touch');
+    assert.equal(first.defaultPrevented, true);
+    assert.deepEqual(panels(page), [false, true]);
+    const second = pointer(page, 'click', shop, 'touch');
+    assert.equal(second.defaultPrevented, false);
+
+    pointer(page, 'pointerdown', page.document.body, 'touch');
+    assert.deepEqual(panels(page), [true, true], 'a tap outside closes it');
+});
+
+test('follows the menubar keyboard pattern', async t => {
+    const page = await createPage('mega-menu');
+    t.after(page.close);
+    const [shop, journal, about] = triggers(page);
+
+    shop.focus();
+    page.key(shop, 'ArrowRight');
+    assert.equal(page.document.activeElement, journal);
+    assert.deepEqual(triggers(page).map(trigger => trigger.tabIndex), [-1, 0, -1]);
+    page.key(journal, 'ArrowLeft');
+    page.key(shop, 'ArrowDown');
+    assert.deepEqual(panels(page), [false, true]);
+    assert.equal(page.document.activeElement.textContent, 'Shop');
+    page.key(page.document.activeElement, 'End');
+    assert.equal(page.document.activeElement.textContent, 'Bottoms');
+    page.key(page.document.activeElement, 'ArrowDown');
+    assert.equal(page.document.activeElement.textContent, 'Shop', 'wraps around');
+
+    page.key(page.document.activeElement, 'ArrowLeft');
+    assert.equal(page.document.activeElement, about);
+    assert.deepEqual(panels(page), [true, false], 'the neighbouring panel opens');
+    page.key(about, 'Escape');
+    assert.deepEqual(panels(page), [true, true]);
+    assert.equal(page.document.activeElement, about);
+});
+
+test('renders the drawer and opens its submenus', async t => {
+    const page = await createPage('mega-menu');
+    t.after(page.close);
+    const summaries = page.$$('#menu-drawer [data-fresh-mega-submenu] > summary');
+
+    assert.deepEqual(summaries.map(summary => summary.textContent), ['Shop', 'Tops', 'About']);
+    page.click(summaries[0]);
+    const details = summaries[0].parentNode;
+    assert.equal(details.open, true);
+    assert.equal(summaries[0].getAttribute('aria-expanded'), 'true');
+    assert.equal(page.document.activeElement, details.querySelector('.menu-drawer__close-button'));
+});
+
+test('closes below the lg breakpoint and puts the original markup back on reload', async t => {
+    const page = await createPage('mega-menu');
+    t.after(page.close);
+    const documentListeners = page.listeners(page.document);
+
+    page.key(triggers(page)[0], 'ArrowDown');
+    await page.resize(800);
+    assert.deepEqual(panels(page), [true, true]);
+
+    const original = page.original.header;
+    page.$('#shopify-section-header').dispatchEvent(new page.window.CustomEvent('shopify:section:unload', { bubbles: true, detail: { sectionId: 'header' } }));
+    assert.equal(page.$('#shopify-section-header').innerHTML, original);
+
+    await page.resize(1200);
+    await page.reloadSection('header');
+    assert.equal(triggers(page).length, 3);
+    assert.equal(page.listeners(page.document), documentListeners);
+});
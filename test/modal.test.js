@@ -0,0 +1,169 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+//no delay popup unless a test wants it, and a page tall enough to scroll through
+function layout(window) {
+    window.document.getElementById('newsletter').removeAttribute('data-open-delay');
+    Object.defineProperty(window.document.documentElement, 'scrollHeight', { configurable: true, value: 2000 });
+    Object.defineProperty(window, 'innerHeight', { configurable: true, value: 800 });
+    //jsdom has no layout, everything counts as rendered for the focus trap
+    window.Element.prototype.getClientRects = () => [{}];
+}
+
+const isOpen = page => id => !page.$('#' + id).hidden;
+
+test('wires the dialog up for assistive technology and starts hidden', async t => {
+    const page = await createPage('modal', { setup: layout });
+    t.after(page.close);
+    const dialog = page.$('#newsletter .fresh-modal__dialog'),
+          promo = page.$('#shopify-section-promo fresh-modal');
+
+    assert.equal(page.$('#newsletter').hidden, true);
+    assert.equal(dialog.getAttribute('role'), 'dialog');
+    assert.equal(dialog.getAttribute('aria-modal'), 'true');
+    assert.equal(page.document.getElementById(dialog.getAttribute('aria-labelledby')).textContent, 'Get 10% off');
+    assert.equal(page.$('#age-gate .fresh-modal__dialog').hasAttribute('aria-labelledby'), false, 'keeps its aria-label');
+    assert.equal(promo.id, 'shopify-section-promo-modal-0', 'modals without an id get one from their section');
+});
+
+test('opens from its opener, locks the page and gives focus back on Escape', async t => {
+    const page = await createPage('modal', { setup: layout, config: { features: { analytics: { consent: false } } } });
+    t.after(page.close);
+    const opener = page.$('#open-newsletter'),
+          events = [];
+    page.Fresh.on('modal:open', event => events.push(['open', event.detail.id, event.detail.trigger]));
+    page.Fresh.on('modal:close', event => events.push(['close', event.detail.id, event.detail.reason]));
+
+    opener.focus();
+    page.click(opener);
+    assert.ok(isOpen(page)('newsletter'));
+    assert.equal(page.Fresh.modal.current, 'newsletter');
+    assert.ok(page.document.documentElement.classList.contains('fresh-modal-lock'));
+    assert.equal(page.document.activeElement, page.$('#newsletter .fresh-modal__dialog'));
+
+    page.key(page.document.activeElement, 'Escape');
+    assert.ok(!isOpen(page)('newsletter'));
+    assert.ok(!page.document.documentElement.classList.contains('fresh-modal-lock'));
+    assert.equal(page.document.activeElement, opener);
+    assert.deepEqual(events, [['open', 'newsletter', 'click'], ['close', 'newsletter', 'escape']]);
+    assert.deepEqual(Array.from(page.window.dataLayer, entry => [entry.event, entry.modal_id, entry.trigger]), [['modal_open', 'newsletter', 'click']]);
+});
+
+test('keeps Tab inside the dialog', async t => {
+    const page = await createPage('modal', { setup: layout });
+    t.after(page.close);
+    page.Fresh.modal.open('newsletter');
+    const close = page.$('#close-newsletter'),
+          submit = page.$('#newsletter-submit');
+
+    submit.focus();
+    page.key(submit, 'Tab');
+    assert.equal(page.document.activeElement, close);
+    page.key(close, 'Tab', { shiftKey: true });
+    assert.equal(page.document.activeElement, submit);
+
+    //focus that lands behind the modal goes back in
+    page.$('#open-age-gate').focus();
+    assert.equal(page.document.activeElement, page.$('#newsletter .fresh-modal__dialog'));
+});
+
+test('only closes through its buttons with data-dismissible="false"', async t => {
+    const page = await createPage('modal', { setup: layout });
+    t.after(page.close);
+
+    page.click(page.$('#open-age-gate'));
+    assert.ok(isOpen(page)('age-gate'));
+    page.key(page.$('#age-gate .fresh-modal__dialog'), 'Escape');
+    page.click(page.$('#age-gate .fresh-modal__overlay'));
+    assert.ok(isOpen(page)('age-gate'));
+    page.click(page.$('#confirm-age'));
+    assert.ok(!isOpen(page)('age-gate'));
+});
+
+test('opens from the URL hash and clears it on close', async t => {
+    const page = await createPage('modal', { setup: layout, url: 'https://freshwater.test/pages/club#newsletter' });
+    t.after(page.close);
+
+    assert.ok(isOpen(page)('newsletter'));
+    page.click(page.$('#newsletter .fresh-modal__overlay'));
+    assert.ok(!isOpen(page)('newsletter'));
+    assert.equal(page.window.location.hash, '');
+});
+
+test('opens after the delay once per session', async t => {
+    const page = await createPage('modal');
+    t.after(page.close);
+    await page.sleep(100);
+    assert.ok(isOpen(page)('newsletter'));
+    assert.equal(page.window.sessionStorage.getItem('fresh-modal-newsletter-session'), '1');
+
+    const again = await createPage('modal', { setup: window => window.sessionStorage.setItem('fresh-modal-newsletter-session', '1') });
+    t.after(again.close);
+    await again.sleep(100);
+    assert.ok(!isOpen(again)('newsletter'));
+});
+
+test('opens on scroll depth, at most once every data-frequency days', async t => {
+    const page = await createPage('modal', { setup: layout });
+    t.after(page.close);
+    const id = 'shopify-section-promo-modal-0';
+
+    await page.scroll(100);
+    assert.ok(!isOpen(page)(id), '45% scrolled');
+    await page.scroll(300);
+    assert.ok(isOpen(page)(id));
+    assert.ok(JSON.parse(page.window.localStorage.getItem('fresh-modal-' + id)).shown <= Date.now());
+
+    const shown = Date.now() - 6 * 86400000;
+    const recent = await createPage('modal', {
+        setup(window) {
+            layout(window);
+            window.localStorage.setItem('fresh-modal-' + id, JSON.stringify({ shown }));
+        }
+    });
+    t.after(recent.close);
+    await recent.scroll(300);
+    assert.ok(!isOpen(recent)(id), 'shown six days ago');
+});
+
+test('stops the automatic triggers once its form was submitted', async t => {
+    const page = await createPage('modal', { setup: layout });
+    t.after(page.close);
+
+    page.Fresh.modal.open('newsletter');
+    page.$('#newsletter-form').dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+    assert.equal(JSON.parse(page.window.localStorage.getItem('fresh-modal-newsletter')).converted, true);
+});
+
+test('previews in the theme editor without automatic triggers or frequency records', async t => {
+    const page = await createPage('modal', { setup: window => (window.Shopify = { designMode: true }) });
+    t.after(page.close);
+    await page.sleep(100);
+    assert.ok(!isOpen(page)('newsletter'), 'no delay popup while editing');
+
+    page.editorEvent('section:select', 'newsletter');
+    assert.ok(isOpen(page)('newsletter'));
+    page.editorEvent('section:deselect', 'newsletter');
+    assert.ok(!isOpen(page)('newsletter'));
+    assert.equal(page.window.sessionStorage.getItem('fresh-modal-newsletter-session'), null);
+    assert.equal(page.window.localStorage.getItem('fresh-modal-newsletter'), null);
+});
+
+test('does not stack listeners when the section is reloaded', async t => {
+    const page = await createPage('modal', { setup: layout });
+    t.after(page.close);
+    const documentListeners = page.listeners(page.document),
+          windowListeners = page.listeners(page.window),
+          opened = [];
+    page.Fresh.on('modal:open', event => opened.push(event.detail.id));
+
+    await page.reloadSection('newsletter');
+    await page.reloadSection('newsletter');
+    page.click(page.$('#open-newsletter'));
+    assert.deepEqual(opened, ['newsletter']);
+    assert.equal(page.listeners(page.document), documentListeners + 1);
+    assert.equal(page.listeners(page.window), windowListeners);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+//[classes, delay, duration] of an element
+const animation = element => [
+    Array.from(element.classList).join(' '),
+    element.style.getPropertyValue('--fresh-animate-delay'),
+    element.style.getPropertyValue('--fresh-animate-duration')
+];
+
+//several elements scrolling into view together, reported in one batch like the browser does
+function intersectAll(page, elements) {
+    const observer = Array.from(page.observers).find(candidate => candidate.targets.has(elements[0]));
+    observer.callback(elements.map(target => ({ target, isIntersecting: true, intersectionRatio: 1 })), observer);
+}
+
+test('reveals an element as it scrolls into view and cleans up after', async t => {
+    const page = await createPage('reveal');
+    t.after(page.close);
+    const heading = page.$('#heading');
+
+    assert.deepEqual(animation(heading), ['fresh-animate fresh-animate--fade-up', '', '200ms']);
+    page.intersect(heading, true);
+    assert.deepEqual(animation(heading), ['fresh-animate fresh-animate--fade-up fresh-animate--in', '100ms', '200ms']);
+
+    await page.sleep(400);
+    assert.deepEqual(animation(heading), ['', '', ''], 'nothing left to get in the way of hover transitions');
+});
+
+test('staggers the grid items that come into view together', async t => {
+    const page = await createPage('reveal');
+    t.after(page.close);
+    const items = page.$$('#grid > li');
+
+    assert.deepEqual(animation(page.$('#grid')), ['', '', ''], 'the grid itself doesn\'t animate');
+    intersectAll(page, [items[2], items[1]]);
+    assert.deepEqual(items.map(item => animation(item)[1]), ['', '0ms', '80ms'], 'in document order');
+    page.intersect(items[0], true);
+    assert.equal(animation(items[0])[1], '0ms', 'a later batch starts over');
+});
+
+test('reveals carousel slides together when the carousel comes into view', async t => {
+    const page = await createPage('reveal');
+    t.after(page.close);
+    const carousel = page.$('#logos'),
+          slides = page.$$('#logos > li');
+
+    assert.equal(Array.from(page.observers).some(candidate => slides.some(slide => candidate.targets.has(slide))), false, 'the slides aren\'t observed');
+    page.intersect(carousel, true);
+    assert.deepEqual(slides.map(slide => animation(slide).slice(0, 2)), [
+        ['fresh-animate fresh-animate--slide-left fresh-animate--in', '0ms'],
+        ['fresh-animate fresh-animate--slide-left fresh-animate--in', '50ms'],
+        ['fresh-animate fresh-animate--slide-left fresh-animate--in', '100ms']
+    ]);
+});
+
+test('falls back to fade-up for an unknown effect', async t => {
+    const page = await createPage('reveal', { config: { logLevel: 'warn' } });
+    t.after(page.close);
+
+    assert.equal(animation(page.$('#note'))[0], 'fresh-animate fresh-animate--fade-up');
+    assert.match(page.warnings[0][0], /unknown data-fresh-animate "spin"/);
+});
+
+test('shows everything right away when the user prefers reduced motion', async t => {
+    const page = await createPage('reveal', { reducedMotion: true });
+    t.after(page.close);
+
+    assert.deepEqual(page.$$('.fresh-animate'), []);
+    assert.equal(Array.from(page.observers).some(observer => observer.targets.size), false);
+});
+
+test('re-arms a section reloaded in the theme editor', async t => {
+    const page = await createPage('reveal');
+    t.after(page.close);
+    page.intersect(page.$('#heading'), true);
+
+    await page.reloadSection('collection');
+    const heading = page.$('#heading');
+    assert.deepEqual(animation(heading), ['fresh-animate fresh-animate--fade-up', '', '200ms']);
+    page.intersect(heading, true);
+    assert.ok(heading.classList.contains('fresh-animate--in'));
+
+    page.Fresh.destroy(page.$('#shopify-section-logos'));
+    assert.deepEqual(page.$$('#logos > li').map(slide => animation(slide)[0]), ['', '', '']);
+    assert.equal(Array.from(page.observers).some(observer => observer.targets.has(page.$('#logos'))), false);
+});
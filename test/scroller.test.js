@@ -0,0 +1,170 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+//slides 100px apart in a 1000px wide scroller, so one copy of three slides spans 300px
+function layout(window) {
+    const proto = window.HTMLElement.prototype;
+    Object.defineProperty(proto, 'offsetLeft', {
+        configurable: true,
+        get() {
+            return this.parentNode ? Array.prototype.indexOf.call(this.parentNode.children, this) * 100 : 0;
+        }
+    });
+    Object.defineProperty(proto, 'offsetTop', {
+        configurable: true,
+        get() {
+            return this.parentNode ? Array.prototype.indexOf.call(this.parentNode.children, this) * 40 : 0;
+        }
+    });
+    Object.defineProperty(proto, 'offsetWidth', {
+        configurable: true,
+        get() {
+            return this.classList.contains('fresh_infinit-scoller') ? 1000 : 0;
+        }
+    });
+}
+
+const marquee = page => {
+    const scroller = page.$('#shopify-section-marquee .fresh_infinit-scoller');
+    return {
+        scroller,
+        list: scroller.querySelector('ul:not(.fresh-duplicated-list)'),
+        track: scroller.querySelector('.fresh-duplicated-list'),
+        toggle: scroller.querySelector('.fresh-marquee__toggle'),
+        clones: scroller.querySelectorAll('[data-marquee-clone]')
+    };
+};
+
+test('fills the scroller with just enough hidden copies of the slides', async t => {
+    const page = await createPage('scroller', { setup: layout });
+    t.after(page.close);
+    const { scroller, list, track, clones } = marquee(page);
+
+    assert.ok(list.classList.contains('fresh-is-animated'));
+    assert.ok(scroller.classList.contains('fresh-marquee'));
+    assert.equal(track.getAttribute('data-infinite-scroll'), 'true');
+    assert.equal(clones.length, 3 * Math.ceil(1000 / 300));
+    clones.forEach(clone => {
+        assert.equal(clone.getAttribute('aria-hidden'), 'true');
+        assert.equal(clone.inert, true);
+    });
+});
+
+test('moves the track on every animation frame', async t => {
+    const page = await createPage('scroller', { setup: layout });
+    t.after(page.close);
+    const { scroller, track } = marquee(page);
+
+    assert.ok(!scroller.classList.contains('fresh-marquee--paused'));
+    await page.frame();
+    await page.sleep(50);
+    await page.frame();
+    assert.match(track.style.transform, /^translate3d\(-[\d.]+px, 0(px)?, 0(px)?\)$/);
+});
+
+test('keeps the pace of the old CSS loop whatever the speed setting', async t => {
+    const frames = [];
+    const page = await createPage('scroller', {
+        setup(window) {
+            layout(window);
+            window.requestAnimationFrame = callback => frames.push(callback);
+            window.cancelAnimationFrame = () => {};
+        }
+    });
+    t.after(page.close);
+    const { list, track } = marquee(page);
+    const step = time => frames.splice(0).forEach(callback => callback(time));
+    const offset = () => -parseFloat(/translate3d\((-?[\d.]+)px/.exec(track.style.transform)[1]);
+
+    //half of a track eleven scrollers long (38 copies of 300px) plus the gap, every 10s
+    step(0);
+    step(50);
+    assert.ok(Math.abs(offset() - (38 * 300 / 2 + 8) / 10 * 0.05) < 0.01);
+
+    list.setAttribute('data-animation-speedMd', '4');
+    await page.resize(375);
+    await page.resize(1200);
+    step(100);
+    step(150);
+    assert.ok(Math.abs(offset() - (38 * 300 / 2 + 8) / 10 * 0.05) < 0.01, 'the setting only switches the motion on');
+});
+
+test('pauses through the toggle, on hover and while off-screen', async t => {
+    const page = await createPage('scroller', { setup: layout });
+    t.after(page.close);
+    const { scroller, toggle } = marquee(page);
+
+    assert.equal(toggle.hidden, false);
+    assert.equal(toggle.getAttribute('aria-label'), 'Pause logos');
+    page.click(toggle);
+    assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+    assert.ok(scroller.classList.contains('fresh-marquee--paused'));
+    page.click(toggle);
+    assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+    assert.ok(!scroller.classList.contains('fresh-marquee--paused'));
+
+    scroller.dispatchEvent(new page.window.MouseEvent('mouseenter'));
+    assert.ok(scroller.classList.contains('fresh-marquee--paused'));
+    scroller.dispatchEvent(new page.window.MouseEvent('mouseleave'));
+    assert.ok(!scroller.classList.contains('fresh-marquee--paused'));
+
+    page.intersect(scroller, false);
+    assert.ok(scroller.classList.contains('fresh-marquee--paused'));
+    page.intersect(scroller, true);
+    assert.ok(!scroller.classList.contains('fresh-marquee--paused'));
+});
+
+test('starts paused when the user prefers reduced motion', async t => {
+    const page = await createPage('scroller', { setup: layout, reducedMotion: true });
+    t.after(page.close);
+    const { scroller, toggle } = marquee(page);
+    assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+    assert.ok(scroller.classList.contains('fresh-marquee--paused'));
+});
+
+test('stops and drops the copies at a breakpoint with a speed of 0', async t => {
+    const page = await createPage('scroller', { setup: layout });
+    t.after(page.close);
+
+    await page.resize(375);
+    let { scroller, track, toggle, clones } = marquee(page);
+    assert.equal(clones.length, 0);
+    assert.equal(track.hasAttribute('data-infinite-scroll'), false);
+    assert.equal(toggle.hidden, true);
+    assert.ok(scroller.classList.contains('fresh-marquee--paused'));
+
+    await page.resize(1200);
+    ({ clones } = marquee(page));
+    assert.equal(clones.length, 12);
+});
+
+test('supports vertical tickers', async t => {
+    const page = await createPage('scroller', { setup: layout, width: 375 });
+    t.after(page.close);
+    const scroller = page.$('#shopify-section-ticker .fresh_infinit-scoller');
+    assert.ok(scroller.classList.contains('fresh-marquee--vertical'));
+    assert.equal(scroller.querySelectorAll('[data-marquee-clone]').length, 2);
+
+    await page.frame();
+    await page.sleep(50);
+    await page.frame();
+    assert.match(scroller.querySelector('.fresh-duplicated-list').style.transform, /^translate3d\(0(px)?, -[\d.]+px/);
+});
+
+test('rebuilds a single track when the section is reloaded', async t => {
+    const page = await createPage('scroller', { setup: layout });
+    t.after(page.close);
+    const listeners = page.listeners(page.document);
+
+    const section = await page.reloadSection('marquee');
+    assert.equal(section.querySelectorAll('.fresh-duplicated-list').length, 1);
+    assert.equal(section.querySelectorAll('.fresh-marquee__toggle').length, 1);
+    assert.equal(page.listeners(page.document), listeners);
+
+    section.dispatchEvent(new page.window.CustomEvent('shopify:section:unload', { bubbles: true, detail: { sectionId: 'marquee' } }));
+    assert.equal(section.querySelectorAll('.fresh-duplicated-list, .fresh-marquee__toggle').length, 0);
+    assert.ok(!section.querySelector('ul').classList.contains('fresh-is-animated'));
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+//what the predictive-search section renders for a query
+function suggest({ url }) {
+    const q = new URLSearchParams(url.split('?')[1]).get('q');
+    return `<div id="shopify-section-predictive-search">
+      <div id="predictive-search-results" role="listbox">
+        <ul role="group">
+          <li id="predictive-search-option-1" role="option"><a href="/products/1" class="predictive-search__item"><p class="predictive-search__item-heading">${q} shoe</p></a></li>
+          <li id="predictive-search-option-2" role="option"><a href="/products/2" class="predictive-search__item"><p class="predictive-search__item-heading">${q} sock</p></a></li>
+        </ul>
+        <span data-predictive-search-live-region-count-value>2 results</span>
+      </div>
+    </div>`;
+}
+
+const searches = page => page.requests.filter(request => request.url.startsWith('/search/suggest')).map(request => new URLSearchParams(request.url.split('?')[1]).get('q'));
+
+function type(page, value) {
+    const input = page.$('#search-input');
+    input.value = value;
+    input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+}
+
+test('asks for results once typing pauses and highlights the searched words', async t => {
+    const page = await createPage('search', { fetch: { '/search/suggest': suggest } });
+    t.after(page.close);
+    const search = page.$('predictive-search'),
+          input = page.$('#search-input');
+
+    type(page, 'red');
+    type(page, 'red run');
+    assert.deepEqual(searches(page), []);
+    await page.sleep(350);
+
+    assert.deepEqual(searches(page), ['red run']);
+    assert.ok(search.hasAttribute('open'));
+    assert.equal(input.getAttribute('aria-expanded'), 'true');
+    assert.deepEqual(page.$$('.fresh-search-highlight').map(mark => mark.textContent), ['red', 'run', 'red', 'run'], 'each word');
+    assert.equal(page.$('.predictive-search-status').textContent, '2 results');
+});
+
+test('answers repeated queries from the cache', async t => {
+    const page = await createPage('search', { fetch: { '/search/suggest': suggest } });
+    t.after(page.close);
+
+    type(page, 'red');
+    await page.sleep(350);
+    type(page, 'blue');
+    await page.sleep(350);
+    type(page, 'Red');
+    await page.sleep(350);
+    assert.deepEqual(searches(page), ['red', 'blue']);
+    assert.match(page.$('.predictive-search__item-heading').textContent, /^red shoe$/);
+});
+
+test('aborts requests that are no longer current', async t => {
+    let slow;
+    const page = await createPage('search', {
+        fetch: { '/search/suggest': request => request.url.includes('q=red') ? new Promise(resolve => { slow = () => resolve(suggest(request)); }) : suggest(request) }
+    });
+    t.after(page.close);
+
+    type(page, 'red');
+    await page.sleep(350);
+    type(page, 'blue');
+    await page.sleep(350);
+    slow();
+    await page.sleep(0);
+    assert.deepEqual(searches(page), ['red', 'blue']);
+    assert.equal(page.$('.predictive-search__item-heading').textContent, 'blue shoe');
+    assert.deepEqual(page.errors, []);
+});
+
+test('shows recent and popular searches while the input is empty', async t => {
+    const page = await createPage('search', {
+        setup: window => window.localStorage.setItem('fresh-search', JSON.stringify({ recent: ['Boots'], counts: { boots: 1, sandals: 3 } }))
+    });
+    t.after(page.close);
+
+    page.$('#search-input').focus();
+    const headings = page.$$('.fresh-search-suggestions h2').map(heading => heading.textContent),
+          terms = page.$$('.fresh-search-suggestions [role="option"]').map(option => option.getAttribute('data-fresh-search-term'));
+    assert.deepEqual(headings, ['Zuletzt gesucht', 'Popular searches']);
+    assert.deepEqual(terms, ['Boots', 'Sneakers', 'Socks', 'sandals']);
+    assert.equal(page.$('.fresh-search-suggestions a').getAttribute('href'), '/search?q=Boots');
+});
+
+test('moves through the options with the arrow keys and closes on Escape', async t => {
+    const page = await createPage('search', { fetch: { '/search/suggest': suggest } });
+    t.after(page.close);
+    const input = page.$('#search-input'),
+          selected = () => page.$$('[role="option"]').map(option => option.getAttribute('aria-selected'));
+
+    type(page, 'red');
+    await page.sleep(350);
+    page.key(input, 'ArrowDown');
+    assert.deepEqual(selected(), ['true', 'false']);
+    assert.equal(input.getAttribute('aria-activedescendant'), 'predictive-search-option-1');
+    page.key(input, 'ArrowDown');
+    page.key(input, 'ArrowDown');
+    assert.deepEqual(selected(), ['true', 'false'], 'wraps around');
+    page.key(input, 'ArrowUp');
+    assert.deepEqual(selected(), ['false', 'false'], 'back in the input');
+    assert.equal(input.getAttribute('aria-activedescendant'), '');
+
+    page.key(input, 'Escape');
+    assert.ok(!page.$('predictive-search').hasAttribute('open'));
+    assert.equal(input.getAttribute('aria-expanded'), 'false');
+});
+
+test('remembers submitted searches as recent searches', async t => {
+    const page = await createPage('search', { fetch: { '/search/suggest': suggest } });
+    t.after(page.close);
+
+    type(page, 'Loafers');
+    page.$('form').dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+    type(page, 'loafers ');
+    page.$('form').dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+    const history = JSON.parse(page.window.localStorage.getItem('fresh-search'));
+    assert.deepEqual(history.recent, ['loafers']);
+    assert.equal(history.counts.loafers, 2);
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+const analytics = options => ({ features: { analytics: options } });
+const events = page => Array.from(page.window.dataLayer || [], entry => entry.event);
+
+//Shopify's Customer Privacy API, answering from a flag the test flips
+function privacy(consent) {
+    return window => {
+        window.Shopify = {
+            customerPrivacy: { analyticsProcessingAllowed: () => consent.allowed },
+            analytics: { publish: (name, params) => consent.published.push([name, params]) }
+        };
+    };
+}
+
+test('sends component events to the dataLayer and Shopify with the section id', async t => {
+    const consent = { allowed: true, published: [] };
+    const page = await createPage('accordion', { setup: privacy(consent) });
+    t.after(page.close);
+    const dispatched = [];
+    page.document.addEventListener('fresh:track', event => dispatched.push(event.detail.name));
+
+    page.click(page.$('#faq-returns .accordion-header'));
+    const [entry] = page.window.dataLayer;
+    assert.equal(entry.event, 'accordion_open');
+    assert.equal(entry.section_id, 'faq');
+    assert.equal(entry.item_index, 1);
+    assert.match(entry.item_title, /^Returns/);
+    assert.deepEqual(consent.published.map(([name, params]) => [name, params.section_id]), [['accordion_open', 'faq']]);
+    assert.deepEqual(dispatched, ['accordion_open']);
+
+    //closing isn't reported
+    page.click(page.$('#faq-returns .accordion-header'));
+    assert.equal(page.window.dataLayer.length, 1);
+});
+
+test('holds events until the Customer Privacy API grants analytics', async t => {
+    const consent = { allowed: false, published: [] };
+    const page = await createPage('accordion', { setup: privacy(consent) });
+    t.after(page.close);
+
+    page.Fresh.track('size_chart_open', { product_id: 1 });
+    assert.deepEqual(events(page), []);
+
+    consent.allowed = true;
+    page.document.dispatchEvent(new page.window.CustomEvent('visitorConsentCollected', { detail: { analyticsAllowed: true } }));
+    assert.deepEqual(events(page), ['size_chart_open']);
+});
+
+test('drops the held events when analytics is declined', async t => {
+    const consent = { allowed: false, published: [] };
+    const page = await createPage('accordion', { setup: privacy(consent) });
+    t.after(page.close);
+
+    page.Fresh.track('size_chart_open');
+    page.document.dispatchEvent(new page.window.CustomEvent('visitorConsentCollected', { detail: { analyticsAllowed: false } }));
+    consent.allowed = true;
+    page.Fresh.track('size_chart_close');
+    assert.deepEqual(events(page), ['size_chart_close']);
+});
+
+test('sends nothing without the Customer Privacy API until consent is collected', async t => {
+    const page = await createPage('accordion');
+    t.after(page.close);
+
+    page.click(page.$('#faq-returns .accordion-header'));
+    page.Fresh.track('size_chart_open');
+    assert.deepEqual(events(page), []);
+
+    page.document.dispatchEvent(new page.window.CustomEvent('visitorConsentCollected', { detail: { analyticsAllowed: true } }));
+    assert.deepEqual(events(page), ['accordion_open', 'size_chart_open']);
+});
+
+test('waits for the theme\'s own banner to call Fresh.track.consent()', async t => {
+    const page = await createPage('accordion');
+    t.after(page.close);
+
+    page.Fresh.track('first');
+    assert.deepEqual(events(page), []);
+    page.Fresh.track.consent(true);
+    page.Fresh.track('second');
+    assert.deepEqual(events(page), ['first', 'second']);
+
+    page.Fresh.track.consent();
+    page.Fresh.track('third');
+    page.Fresh.track.consent(false);
+    page.Fresh.track.consent(true);
+    assert.deepEqual(events(page), ['first', 'second'], 'declining drops the held events');
+});
+
+test('samples per session and per event', async t => {
+    const page = await createPage('accordion', {
+        config: analytics({ consent: false, sample: 0.5, events: { checkout_help: 1, video_progress: false } }),
+        setup: window => window.sessionStorage.setItem('fresh-track-sample', '0.6')
+    });
+    t.after(page.close);
+
+    assert.equal(page.Fresh.track('size_chart_open'), false, 'this session is outside the sample');
+    assert.equal(page.Fresh.track('checkout_help'), true);
+    assert.equal(page.Fresh.track('video_progress'), false);
+    assert.deepEqual(events(page), ['checkout_help']);
+});
+
+test('sends to custom sinks and keeps going when one throws', async t => {
+    const page = await createPage('accordion', { config: analytics({ consent: false, sinks: ['dataLayer'] }) });
+    t.after(page.close);
+    const received = [];
+
+    page.Fresh.track.sink('broken', () => {
+        throw new Error('offline');
+    });
+    page.Fresh.track.sink('klaviyo', (name, params) => received.push([name, params.plan]));
+    page.Fresh.track('subscribe', { plan: 'monthly' });
+    page.Fresh.track.sink('klaviyo');
+    page.Fresh.track('unsubscribe');
+
+    assert.deepEqual(received, [['subscribe', 'monthly']]);
+    assert.deepEqual(events(page), ['subscribe', 'unsubscribe']);
+});
+
+test('sends nothing with the analytics feature turned off', async t => {
+    const page = await createPage('accordion', { config: { features: { analytics: false } } });
+    t.after(page.close);
+    assert.equal(page.Fresh.track('size_chart_open'), false);
+    page.click(page.$('#faq-shipping .accordion-header'));
+    assert.deepEqual(events(page), []);
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+//counts video.load() calls, which is when the browser starts downloading
+function countLoads(window) {
+    window.HTMLMediaElement.prototype.load = function () {
+        this.loads = (this.loads || 0) + 1;
+    };
+}
+
+const sources = video => Array.from(video.querySelectorAll('source'), source => source.getAttribute('src'));
+
+test('loads the source set of the current breakpoint once the video is near', async t => {
+    const page = await createPage('video', { setup: countLoads });
+    t.after(page.close);
+    const video = page.$('#banner-video');
+
+    assert.deepEqual(sources(video), [], 'nothing is downloaded up front');
+    page.intersect(video, true);
+    assert.deepEqual(sources(video), ['/videos/banner-desktop.webm']);
+    assert.equal(video.querySelector('source').type, 'video/webm');
+    assert.equal(video.loads, 1);
+
+    await page.resize(1000);
+    assert.equal(video.loads, 1, 'no reload within the same breakpoint');
+    await page.resize(375);
+    assert.deepEqual(sources(video), ['/videos/banner-mobile.mp4']);
+    assert.equal(video.loads, 2);
+});
+
+test('plays while on-screen and pauses off-screen', async t => {
+    const page = await createPage('video');
+    t.after(page.close);
+    const video = page.$('#banner-video');
+
+    assert.equal(video.autoplay, false, 'autoplay is handled by the script');
+    page.intersect(video, true);
+    assert.equal(video.paused, false);
+    assert.equal(video.muted, true);
+    page.intersect(video, false);
+    assert.equal(video.paused, true);
+});
+
+test('only plays the legacy video that matches the breakpoint', async t => {
+    const page = await createPage('video', { width: 375 });
+    t.after(page.close);
+    const desktop = page.$('#story-desktop'),
+          mobile = page.$('#story-mobile');
+
+    page.intersect(desktop, true);
+    page.intersect(mobile, true);
+    assert.equal(desktop.paused, true);
+    assert.equal(mobile.paused, false);
+
+    await page.resize(1200);
+    assert.equal(desktop.paused, false);
+    assert.equal(mobile.paused, true);
+});
+
+test('does not autoplay and shows controls when the user prefers reduced motion', async t => {
+    const page = await createPage('video', { reducedMotion: true });
+    t.after(page.close);
+    const video = page.$('#banner-video');
+
+    page.intersect(video, true);
+    assert.equal(video.paused, true);
+    assert.equal(video.controls, true);
+});
+
+test('requests Shopify CDN posters at the rendered width', async t => {
+    const page = await createPage('video');
+    t.after(page.close);
+    assert.equal(page.$('#banner-video').getAttribute('poster'), '//cdn.shopify.com/s/files/1/banner.jpg?width=1200');
+    assert.equal(page.$('#story-desktop').getAttribute('poster'), '/story.jpg', 'other posters are left alone');
+});
+
+test('reports each progress milestone once', async t => {
+    const page = await createPage('video', { config: { features: { analytics: { consent: false } } } });
+    t.after(page.close);
+    const video = page.$('#banner-video');
+    Object.defineProperty(video, 'duration', { configurable: true, value: 100 });
+
+    for (const time of [10, 30, 55, 60, 80, 20, 90]) {
+        video.currentTime = time;
+        video.dispatchEvent(new page.window.Event('timeupdate'));
+    }
+    const progress = Array.from(page.window.dataLayer).filter(entry => entry.event === 'video_progress');
+    assert.deepEqual(progress.map(entry => [entry.percent, entry.video_id, entry.section_id]), [[25, 'banner-video', 'banner'], [50, 'banner-video', 'banner'], [75, 'banner-video', 'banner']]);
+});
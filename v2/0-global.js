@@ -8,16 +8,270 @@
 
 
 /*#########################################################################################
-#    Constants & Global Variables                                                         #
+#    Namespace, Constants & Config                                                        #
 #########################################################################################*/
 
-const   $freshDocument = $0(document),
-        $freshWindow = $0(window),
-        freshMaxWsm = 767;
+/*
+ * Everything below is scoped to this file, only what is attached to window.Fresh is public.
+ * Including the file twice (e.g. a theme snippet and a shared CDN build) is a no-op.
+ * Breaking change from 2.0: its functions are no longer globals. Theme code calling them (e.g.
+ * fresh_slickInit() after injecting markup) moves to Fresh.init(root) and the other replacements
+ * listed under "Upgrading from 2.0" in the README.
+ */
+(function (window, document) {
+'use strict';
 
-var     onLoad = '',
-        onResize = '',
-        lazyLoadInstance = new LazyLoad({ });
+//through the first copy's logger, so it's only reported when the store's log level asks for it
+if (window.Fresh && window.Fresh.components) {
+    window.Fresh.log.warn('0-global.js was included more than once, ignoring the second copy');
+    return;
+}
+
+const   Fresh = window.Fresh = window.Fresh || {},
+        $0 = window.$0 || window.jQuery || null,
+        freshReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+Fresh.version = Fresh.version || '2.1.0';
+Fresh.lazyLoad = null;
+
+/******************************************************************************************
+ * Title: Diagnostics
+ *
+ * Description:
+ * Every feature logs through freshLog (Fresh.log), a leveled logger that is silent on a live
+ * store. "logLevel" in the store config changes that ('debug', 'info', 'warn', 'error' or
+ * 'silent').
+ * Diagnostics mode logs everything and adds:
+ * - a performance mark / 'fresh:init:{component}' measure around each component init, shown
+ *   in the DevTools performance panel,
+ * - counts of the event listeners each component binds in its hooks,
+ * - warnings for misconfigured markup (a video without a poster, a logo without its text, ...),
+ * - an on-page overlay summarising all of the above.
+ * It is turned on for one page with ?fresh_debug=1 (?fresh_debug=overlay opens the overlay
+ * as well), or until turned off with Fresh.debug.enable() / localStorage 'fresh-debug' = '1'.
+ *
+ * Usage:
+ * Fresh.log.warn('size chart without a table', element)
+ * Fresh.debug.stats()   // { carousel: { instances: 2, listeners: 4, time: 3.1, warnings: 0, errors: 0 }, ... }
+ * Fresh.debug.overlay()
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+const   freshLogLevels = ['debug', 'info', 'warn', 'error', 'silent'],
+        freshDebugParam = new URLSearchParams(window.location.search).get('fresh_debug'),
+        freshDebug = freshDebugFlag(),
+        freshDebugStats = {},
+        freshDebugEntries = [];
+
+let     freshDebugComponent = null,
+        freshDebugOverlay = null;
+
+function freshDebugFlag() {
+    if (freshDebugParam !== null) return freshDebugParam !== '0';
+    try {
+        return localStorage.getItem('fresh-debug') === '1';
+    } catch (error) {
+        return false;
+    }
+}
+
+function freshLogger(level) {
+    return (message, ...args) => {
+        if (freshDebug) {
+            freshDebugEntries.push({ level, message, args, component: freshDebugComponent, time: performance.now() });
+            if (freshDebugEntries.length > 200) freshDebugEntries.shift();
+            freshUpdateDebugOverlay();
+        }
+        const threshold = freshDebug ? 'debug' : (Fresh.config && Fresh.config.logLevel) || 'silent';
+        if (freshLogLevels.indexOf(level) >= freshLogLevels.indexOf(threshold)) console[level]('Freshwater: ' + message, ...args);
+    };
+}
+
+const freshLog = {
+    debug: freshLogger('debug'),
+    info: freshLogger('info'),
+    warn: freshLogger('warn'),
+    error: freshLogger('error')
+};
+
+function freshDebugStat(name) {
+    return freshDebugStats[name] = freshDebugStats[name] || { time: 0, listeners: 0 };
+}
+
+function freshDebugMeasure(name, fn) {
+    const mark = 'fresh:init:' + name,
+          start = performance.now();
+    if (performance.mark) performance.mark(mark + ':start');
+    try {
+        return fn();
+    } finally {
+        freshDebugStat(name).time += performance.now() - start;
+        if (performance.measure) {
+            performance.mark(mark + ':end');
+            performance.measure(mark, mark + ':start', mark + ':end');
+            performance.clearMarks(mark + ':start');
+            performance.clearMarks(mark + ':end');
+        }
+    }
+}
+
+//counts what is bound while a component hook runs (jQuery's .on() included), so leaks show up after a section reload
+function freshDebugListeners() {
+    const proto = EventTarget.prototype,
+          add = proto.addEventListener,
+          remove = proto.removeEventListener,
+          bound = new WeakMap();
+    //per target, the component that added each type + capture + handler, the way the browser tells listeners apart
+    const listeners = (target, type, options) => {
+        if (!bound.has(target)) bound.set(target, new Map());
+        const key = type + (typeof options === 'boolean' ? options : !!(options && options.capture)),
+              byKey = bound.get(target);
+        if (!byKey.has(key)) byKey.set(key, new Map());
+        return byKey.get(key);
+    };
+    proto.addEventListener = function (type, listener, options) {
+        if (freshDebugComponent && listener) {
+            const added = listeners(this, type, options);
+            //adding the same listener twice is a no-op
+            if (!added.has(listener)) {
+                added.set(listener, freshDebugComponent);
+                freshDebugStat(freshDebugComponent).listeners++;
+            }
+        }
+        return add.apply(this, arguments);
+    };
+    proto.removeEventListener = function (type, listener, options) {
+        const added = bound.has(this) && listeners(this, type, options);
+        //only what was counted, a defensive remove before adding doesn't count
+        if (added && added.has(listener)) {
+            freshDebugStat(added.get(listener)).listeners--;
+            added.delete(listener);
+        }
+        return remove.apply(this, arguments);
+    };
+}
+
+/**
+ * Summarises the diagnostics per component.
+ *
+ * @returns {Object} Per component name: { instances, listeners, time, warnings, errors }.
+ */
+function freshDebugSummary() {
+    const summary = {};
+    Object.keys(freshComponents).forEach(name => {
+        const stat = freshDebugStats[name] || { time: 0, listeners: 0 };
+        summary[name] = {
+            instances: 0,
+            listeners: stat.listeners,
+            time: Math.round(stat.time * 10) / 10,
+            warnings: freshDebugEntries.filter(entry => entry.component === name && entry.level === 'warn').length,
+            errors: freshDebugEntries.filter(entry => entry.component === name && entry.level === 'error').length
+        };
+    });
+    freshInstances.forEach(instances => instances.forEach((state, name) => summary[name] && summary[name].instances++));
+    return summary;
+}
+
+function freshRenderDebugOverlay() {
+    if (!freshDebugOverlay) return;
+    const summary = freshDebugSummary(),
+          columns = ['instances', 'listeners', 'time', 'warnings', 'errors'],
+          cell = (tag, text) => freshElement(tag, {}, String(text)),
+          rows = Object.keys(summary)
+              .filter(name => summary[name].instances || summary[name].warnings || summary[name].errors)
+              .map(name => freshElement('tr', {}, cell('th', name), ...columns.map(column => cell('td', summary[name][column])))),
+          messages = freshDebugEntries
+              .filter(entry => entry.level === 'warn' || entry.level === 'error')
+              .slice(-10)
+              .map(entry => freshElement('li', { class: 'fresh-debug__' + entry.level }, (entry.component ? entry.component + ': ' : '') + entry.message));
+
+    freshDebugOverlay.querySelector('.fresh-debug__body').replaceChildren(
+        freshElement('p', {}, `${Fresh.version} · ${Fresh.breakpoints.current} · ${Fresh.features.filter(Fresh.hasFeature).length} features on`),
+        freshElement('table', {},
+            freshElement('thead', {}, freshElement('tr', {}, cell('th', 'component'), ...columns.map(column => cell('th', column === 'time' ? 'init ms' : column)))),
+            freshElement('tbody', {}, ...rows)),
+        messages.length ? freshElement('ul', {}, ...messages) : null
+    );
+}
+
+const freshUpdateDebugOverlay = debounce(freshRenderDebugOverlay, 200);
+
+function freshShowDebugOverlay(show = true) {
+    if (!show) {
+        if (freshDebugOverlay) freshDebugOverlay.remove();
+        freshDebugOverlay = null;
+        return;
+    }
+    if (freshDebugOverlay) return;
+    const close = freshElement('button', { type: 'button', class: 'fresh-debug__close', 'aria-label': 'Close diagnostics' }, '×');
+    close.addEventListener('click', () => freshShowDebugOverlay(false));
+    freshDebugOverlay = freshElement('aside', { class: 'fresh-debug', 'aria-label': 'Freshwater diagnostics' },
+        freshElement('strong', {}, 'Freshwater diagnostics'), close, freshElement('div', { class: 'fresh-debug__body' }));
+    document.body.appendChild(freshDebugOverlay);
+    freshRenderDebugOverlay();
+}
+
+if (freshDebug) freshDebugListeners();
+
+Fresh.log = freshLog;
+Fresh.debug = {
+    enabled: freshDebug,
+    get entries() {
+        return freshDebugEntries.slice();
+    },
+    stats: freshDebugSummary,
+    overlay: freshShowDebugOverlay,
+    //remembered in localStorage, applies from the next page load
+    enable(on = true) {
+        try {
+            if (on) localStorage.setItem('fresh-debug', '1');
+            else localStorage.removeItem('fresh-debug');
+        } catch (error) {
+            freshLog.error('localStorage is not available', error);
+        }
+    }
+};
+
+/******************************************************************************************
+ * Title: Store Config
+ *
+ * Description:
+ * Per store settings, read from a JSON block in the theme (the v3 bootstrap reads it first
+ * when it is on the page). Features are the registered component names, set one to false
+ * to turn it off for the store, or to an object to pass it options.
+ *
+ * <script type="application/json" id="fresh-config">
+ *   {
+ *     "features": { "bragbar": false, "carousel": { "backend": "native" } },
+ *     "breakpoints": { "xl": 1200 }
+ *   }
+ * </script>
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+function freshReadConfig() {
+    const block = document.getElementById('fresh-config');
+    if (!block) return {};
+    try {
+        return JSON.parse(block.textContent) || {};
+    } catch (error) {
+        freshLog.error('invalid #fresh-config JSON, using defaults', error);
+        return {};
+    }
+}
+
+Fresh.config = Fresh.config || freshReadConfig();
+Fresh.config.features = Fresh.config.features || {};
+
+function freshFeatureEnabled(name) {
+    const feature = Fresh.config.features[name];
+    return feature !== false && !(feature && feature.enabled === false);
+}
+
+function freshFeatureOptions(name) {
+    const feature = Fresh.config.features[name];
+    return feature && typeof feature === 'object' ? feature : {};
+}
 
 
 /*#######################################################################################
@@ -54,483 +308,4067 @@ function debounce(func, wait, immediate) {
     };
 };
 
-
-/********************************************************************************************
- * Title: ADA Compliance Fix for Slick Carousels
+/******************************************************************************************
+ * Title: DOM Ready
  *
  * Description:
- * Fixes ADA compliance for Slick carousels without dots. 
- * Ensures that proper ARIA attributes are set for enhanced accessibility in carousels.
- * This function dynamically adjusts ARIA attributes to meet accessibility standards.
+ * Runs a function once the document has been parsed, right away if it already has.
  *
- * Reference: 
- * https://www.beacontechnologies.com/blog/2017/11/how-to-remove-aria-described-by-if-dots-are-disabled-in-slick-slider.aspx
+ * @param {Function} fn - Function to run.
  *
- * Parameters:
- * @param {string|object} slickCarousel - The Slick carousel element (or selector) to be modified.
- * 
  * @author Alexander Khost
- ********************************************************************************************/
-function freshCheckSlickAriaAttributes( slickCarousel ) {
-    $0( slickCarousel ).find('li').each(function () {
-        let $slide = $0(this);
-        if ($slide.attr('aria-describedby') != undefined) {
-            $slide.attr('id', $slide.attr('aria-describedby'));
-        }
-    });
+ *******************************************************************************************/
+function freshReady(fn) {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => fn(), { once: true });
+    else fn();
 }
 
-
-/********************************************************************************************
- * Title: Open External Links in New Window
+/******************************************************************************************
+ * Title: Breakpoint Map Lookup
  *
  * Description:
- * Opens all external links within 'body' in a new window.
- * This function enhances the user experience by allowing users to stay on the current page 
- * while enabling them to view the content of external links in a new window.
- * 
- * Reference: https://css-tricks.com/snippets/jquery/open-external-links-in-new-window/
- * 
- * * @param {string} filter - an optional list of paths to targetted external links, defaults to filter out reviews links
+ * Picks the entry of a breakpoint map that applies at a viewport width. Keys are minimum
+ * widths in px or breakpoint names, and the widest matching key wins,
+ * e.g. {"0": ..., "768": ..., "1200": ...} or {"sm": ..., "md": ..., "lg": ...}.
+ *
+ * Parameters:
+ * @param {Object} map - The breakpoint map.
+ * @param {Number} width - The viewport width, defaults to window.innerWidth.
+ * @returns {String|undefined} The matching key, undefined if none applies.
  *
  * @author Alexander Khost
- ********************************************************************************************/
-function freshOpenExternalLinksInNewWindow(filter) {
-    if(!filter) {
-        filter = 'a:not(.jdgm-paginate__page,.jdgm-star,.jdgm-paginate__load-more)';
-    }
-    $0('body').find(filter).each(function() {
-          var a = new RegExp('/' + window.location.host + '/');
-          if(!a.test(this.href)) {
-              $0(this).click(function(event) {
-                event.preventDefault();
-                event.stopPropagation();
-                window.open(this.href, '_blank');
-              });
-          }
-    });
+ *******************************************************************************************/
+function freshBreakpointKey(map, width = window.innerWidth) {
+    const minWidth = key => key in freshBreakpointValues ? freshBreakpointValues[key] : Number(key);
+    return Object.keys(map)
+        .filter(key => minWidth(key) <= width)
+        .sort((a, b) => minWidth(b) - minWidth(a))[0];
 }
 
 
-/********************************************************************************************
- * Title: Smooth Scrolling for Anchor Links
+/*#########################################################################################
+#    Component Registry                                                                   #
+#########################################################################################*/
+
+const   freshComponents = {},
+        freshInstances = new Map();
+
+Fresh.components = freshComponents;
+
+/******************************************************************************************
+ * Title: Register Component
  *
  * Description:
- * Implements smooth scrolling for internal anchor links.
- * This function enhances the user experience by creating a seamless and visually pleasing 
- * navigation experience when users click on internal anchor links within the page.
+ * Adds a feature to the component registry. Each component declares a selector and the
+ * hooks to run against every matching element, so that theme editor events only touch
+ * the section that changed instead of re-running every feature over the whole document.
+ * Components are initialized in the order they are registered.
+ *
+ * Parameters:
+ * @param {Object} component - The component definition.
+ * @param {String} component.name - Unique component name.
+ * @param {String} component.selector - Selector for the elements the component manages.
+ * @param {Function} component.init - Called with each matching element. Whatever it returns is kept as the instance state and passed to the other hooks. Return nothing when there is nothing to manage, no instance is kept for the element then.
+ * @param {Function} [component.destroy] - Called with (element, state) when the section is unloaded or re-rendered.
+ * @param {Function} [component.resize] - Called with (element, state) on the debounced window resize.
+ * @param {Function} [component.breakpoint] - Called with (element, state, detail) when a breakpoint is crossed (see Fresh.breakpoints).
+ * @param {Function} [component.select] - Called with (element, state, event) on 'shopify:block:select'.
+ * @param {Function} [component.deselect] - Called with (element, state, event) on 'shopify:block:deselect'.
+ * @param {Function} [component.sectionSelect] - Called with (element, state, event) on 'shopify:section:select'.
+ * @param {Function} [component.sectionDeselect] - Called with (element, state, event) on 'shopify:section:deselect'.
+ * @returns {Object} The registered component.
  *
  * @author Alexander Khost
- ********************************************************************************************/
-function smoothScrollToInlineAnchors() {
-  $freshDocument.on('click', 'a[href^="#"]', function (event) {
-    event.preventDefault();
-    event.stopPropagation();
-    $0('html, body').animate({
-        scrollTop: $0($0.attr(this, 'href')).offset().top
-    }, 500);
-  });
+ *******************************************************************************************/
+function freshRegisterComponent(component) {
+    freshComponents[component.name] = component;
+    return component;
 }
 
-/********************************************************************************************
-* Title: Animation Reinitialization on Page Reload
-*
-* Description:
-* This function ensures that certain animations are properly triggered even after a user reloads the page.
-* Adapted for the Dawn theme --Alex 20230808
-*
-* @author Alexander Khost 
-/********************************************************************************************/
-function initializeAnimationOnReload() {
-  setTimeout(() => {
-    if (typeof initializeScrollAnimationTrigger === "function") {
-        initializeScrollAnimationTrigger();
+/******************************************************************************************
+ * Title: Run Component Hook
+ *
+ * Description:
+ * Runs a single component hook, reporting errors instead of throwing so that one broken
+ * section can't stop the remaining components from initializing.
+ *
+ * @param {Object} component - The component definition.
+ * @param {String} hook - Name of the hook to run ('init', 'destroy', 'resize', ...).
+ * @param {...*} args - Arguments passed to the hook.
+ * @returns {*} The hook's return value.
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+function freshRunHook(component, hook, ...args) {
+    if (typeof component[hook] !== 'function') return;
+    const previous = freshDebugComponent;
+    freshDebugComponent = component.name;
+    try {
+        if (freshDebug && hook === 'init') return freshDebugMeasure(component.name, () => component.init(...args));
+        return component[hook](...args);
+    } catch (error) {
+        freshLog.error(`"${component.name}" ${hook} failed`, args[0], error);
+    } finally {
+        freshDebugComponent = previous;
     }
-  }, 350);
 }
 
-
-/********************************************************************************************
- * Title: Accordion Behavior Handler
+/******************************************************************************************
+ * Title: Initialize Components
  *
  * Description:
- * This function toggles the visibility of accordion content and ensures only one item is open at a time.
- * - Toggles 'active' class on clicked accordion headers.
- * - Adjusts the maximum height of the accordion content to show/hide it.
- * - Swaps icons in the accordion header to indicate its state (open/close).
- * - Closes any other open accordion items to maintain only one active item.
- * Note: Customized for specific icons (icon1 and icon2) within the accordion headers.
- * 
- * @author Ahmed Ezzaouia
-/********************************************************************************************/
-function fresh_toggleAccordion() {
-  $0('.accordion_item .accordion-header').click(function () {
-      var button = $0(this);
-      var accordionContent = button.next('.accordion-content');
-      button.toggleClass('active');
-      if (button.hasClass('active')) {
-        accordionContent.css('maxHeight', accordionContent.prop('scrollHeight') + 'px');
-        button.find('.icon1').hide();
-        button.find('.icon2').show(); 
-      } else {
-        accordionContent.css('maxHeight', 0);
-        button.find('.icon1').show();
-        button.find('.icon2').hide(); 
-      }
-      // Close other open accordion items
-      $0('.accordion_item .accordion-header')
-        .not(button)
-        .each(function () {
-          $0(this).removeClass('active');
-          $0(this).next('.accordion-content').css('maxHeight', 0);
-          $0(this).find('.icon1').show();
-          $0(this).find('.icon2').hide(); 
+ * Initializes every registered component on the matching elements inside root (root
+ * included). Elements that already have a live instance of a component are skipped, so
+ * it is safe to call repeatedly without stacking event handlers. Features turned off in the
+ * store config are skipped as well.
+ *
+ * @param {Element|Document} root - The element to initialize within, defaults to the document.
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+function freshInitComponents(root = document) {
+    Object.values(freshComponents).forEach(component => {
+        if (!freshFeatureEnabled(component.name)) return;
+        const elements = Array.from(root.querySelectorAll(component.selector));
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(component.selector)) elements.unshift(root);
+
+        elements.forEach(element => {
+            let instances = freshInstances.get(element);
+            if (instances && instances.has(component.name)) return;
+            const state = freshRunHook(component, 'init', element);
+            //nothing to manage here, e.g. a section without an accordion
+            if (state === undefined) return;
+            if (!instances) {
+                instances = new Map();
+                freshInstances.set(element, instances);
+            }
+            instances.set(component.name, state);
         });
-  });
+    });
+    if (freshDebug) freshUpdateDebugOverlay();
 }
 
-
-/*********************************************************************************************
- * Title: Hero Section Box Positioning
+/******************************************************************************************
+ * Title: Call Component Hook Within Root
  *
  * Description:
- * Adjusts positioning of content boxes in hero sections.
- * - Finds each '.fresh-hero__box' within a '.fresh-hero' section.
- * - Calculates and sets the position of these boxes differently for small and large screens.
- *   - Uses 'heroboxxmd', 'heroboxymd' for large screens (width > 767px).
- *   - Uses 'heroboxxsm', 'heroboxysm' for small screens.
- * - Displays the box if it has text, hides it otherwise.
- * - Updated to support hero carousels with multiple hero slides --Alex, 20240411
+ * Calls a hook on every live component instance inside root (root included).
  *
- * @author Ahmed Ezzaouia
- ********************************************************************************************/
-function fresh_heroBoxPositioning(fresh_hero, fresh_box) {
-    if($0(window).width() > 767){
-        var leftPosition = ((fresh_hero.outerWidth() - fresh_box.outerWidth()) * fresh_hero.data('heroboxxmd')) / 100;
-        var topPosition = ((fresh_hero.outerHeight() - fresh_box.outerHeight()) * fresh_hero.data('heroboxymd')) / 100;
-      } else {
-        var leftPosition = ((fresh_hero.outerWidth() - fresh_box.outerWidth()) * fresh_hero.data('heroboxxsm')) / 100;
-        var topPosition = ((fresh_hero.outerHeight() - fresh_box.outerHeight()) * fresh_hero.data('heroboxysm')) / 100;
-      }
-     fresh_box.css('top', `${topPosition}px`);
-     fresh_box.css('left', `${leftPosition}px`);
-     fresh_box.css('display', 'block');
-     if (!fresh_box.text().trim()) {
-       fresh_box.css('display', 'none');
-     }
-}
-
-var freshSetXY = () => {
-   $0('.fresh-hero-container').each(function() {
-     var fresh_carousel = $0(this).find('.fresh-slides');
-    //if carousel, wait until slick has initialized, otherwise, just set the position
-    if(fresh_carousel.length > 0) {
-        fresh_carousel.on("init", function (event, slick) {
-            //for each hero slide
-            $0('.fresh_carousel__slide').each(function() {
-                var fresh_hero = $0(this).find('.fresh-hero');
-                var fresh_box = fresh_hero.find('.fresh-hero__box');
-                fresh_heroBoxPositioning(fresh_hero, fresh_box);
-            });
+ * @param {Element|Document} root - The element to search within.
+ * @param {String} hook - Name of the hook to call.
+ * @param {...*} args - Extra arguments passed after (element, state).
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+function freshCallComponents(root, hook, ...args) {
+    freshInstances.forEach((instances, element) => {
+        if (root !== element && !root.contains(element)) return;
+        instances.forEach((state, name) => {
+            freshRunHook(freshComponents[name], hook, element, state, ...args);
         });
-     } else {
-        var fresh_hero = $0(this).find('.fresh-hero');
-        var fresh_box = fresh_hero.find('.fresh-hero__box');
-        fresh_heroBoxPositioning(fresh_hero, fresh_box);
-     }
-   });
- };
-
+    });
+}
 
-/********************************************************************************************
- * Title: Slick Slider Initialization
+/******************************************************************************************
+ * Title: Destroy Components
  *
  * Description:
- * Initializes Slick sliders for all sections.
- * This function targets all elements with the specified slick slider class,
- * reads their data attributes for settings, and initializes the Slick slider
- * with those settings if they haven't already been initialized.
+ * Runs the destroy hook of every live component instance inside root and forgets them, so
+ * a following freshInitComponents() call starts from a clean slate.
  *
- * @param {string} fresh_slick_class - The class selector for Slick elements.
- * 
- * @author Ahmed Ezzaouia
- ********************************************************************************************/ 
-function fresh_slickInit(fresh_slick_class) {
-  var fresh_slickElements = $0(fresh_slick_class);
-  fresh_slickElements.each(function () {
-    var fresh_slickElement = $0(this);
-    if (fresh_slickElement.hasClass('fresh-is-animated')) return true;
-
-    let slidesToShowMd = Number(fresh_slickElement.attr('data-slidesToShowMd'));
-    let slidesToShowSm = Number(fresh_slickElement.attr('data-slidesToShowSm'));
-    //as long as slides to show has not been turned off (0), set Slick
-    if(
-        (window.innerWidth >= 768 && slidesToShowMd != 0) ||
-        (window.innerWidth < 768 && slidesToShowSm != 0)
-    ) {
-        var slickData = fresh_slickElement.attr('data-slick')
-        if (!slickData) return false; 
-        var fresh_slickSettings = JSON.parse(slickData.replace(/&quot;/g, '"'));
-        if (!fresh_slickElement.hasClass('slick-initialized')) {
-            fresh_slickElement.slick(fresh_slickSettings);
-        }
-    }
-  });
+ * @param {Element|Document} root - The element to destroy within, defaults to the document.
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+function freshDestroyComponents(root = document) {
+    freshCallComponents(root, 'destroy');
+    freshInstances.forEach((instances, element) => {
+        if (root === element || root.contains(element)) freshInstances.delete(element);
+    });
 }
 
-
-/********************************************************************************************
- * Title: Video Load for Responsive Design
+/******************************************************************************************
+ * Title: Shopify Section Root
  *
  * Description:
- * Ensures that mobile or desktop videos are loaded appropriately when 
- * the window is resized or a Shopify section is reloaded.
- * Targets '.fresh_video_desktop' for screens ≥ 768px and 
- * '.fresh_video_mobile' for screens < 768px.
+ * Resolves the section element a theme editor event applies to, using event.detail.sectionId
+ * and falling back to the event target.
  *
- * @author Ahmed Ezzaouia
- ********************************************************************************************/
-const fresh_handleVideoLoad = () => {
-  const fresh_videoDesktop = $0('.fresh_video_desktop');
-  const fresh_videoMobile = $0('.fresh_video_mobile');
-  if ($0(window).width() < 768) {
-    fresh_videoMobile.each(function() {this.load()});
-  } else {
-    fresh_videoDesktop.each(function() {this.load()});
-  }
-};
+ * @param {CustomEvent} event - A 'shopify:section:*' or 'shopify:block:*' event.
+ * @returns {Element|Document} The section element, or the document if it can't be found.
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+function freshSectionRoot(event) {
+    const sectionId = event.detail && event.detail.sectionId,
+          section = sectionId && document.getElementById('shopify-section-' + sectionId);
+    if (section) return section;
+    return event.target && event.target.nodeType === Node.ELEMENT_NODE ? event.target : document;
+}
 
 
-/********************************************************************************************
- * Title: Infinite Scroll with Responsive Cloning
+/*#########################################################################################
+#    Breakpoints                                                                          #
+#########################################################################################*/
+
+/******************************************************************************************
+ * Title: Breakpoint Service
  *
  * Description:
- * Implements infinite scroll by dynamically cloning and appending elements within designated
- * containers. Enhances visual continuity for a seamless user experience. Responsive design 
- * ensures compatibility with various screen sizes.
+ * The one place breakpoints are defined. Breakpoints are named minimum widths (mobile first):
+ * - defaults: sm 0, md 768, lg 990 (where the header switches to the desktop menu),
+ * - overridden by --fresh-breakpoint-{name} custom properties on :root,
+ * - overridden / extended by "breakpoints" in the store config (see Fresh.config),
+ * - overridden / extended by a JSON config: <script type="application/json" id="fresh-breakpoints">{"xl":1200}</script>
+ * Each breakpoint is watched with a matchMedia listener and a 'fresh:breakpointchange' event
+ * ({ current, previous }) is dispatched on the document only when one is actually crossed.
+ * Components get the same through their 'breakpoint' hook.
+ * Note CSS media queries can't read custom properties, keep those in sync by hand.
  *
  * Usage:
- * To enable infinite scroll on an element, add the class (fresh_infinit-scoller) to the parent of the list.
- * 
- * Example usage in a Shopify section:
- * 
- * <div class="fresh_infinit-scoller" >
- *    <ul data-animation-speedMd="{{ section.settings.fresh_scroll_speed--md }}"
- *        data-animation-speedSm="{{ section.settings.fresh_scroll_speed--sm }}"
- *    </ul>
- * </div>
+ * Fresh.breakpoints.current   // 'sm', 'md', 'lg', ...
+ * Fresh.breakpoints.is('md')  // true from the md breakpoint up
+ * Fresh.breakpoints.values    // { sm: 0, md: 768, lg: 990 }
  *
- * @Author Ahmed Ezzaouia
- ********************************************************************************************/
-function fresh_infinite_scroll(e){
-  console.log("🚀 ~ fresh_infinite_scroll fn: Event type: ", e.type)
-  const scrollers = document.querySelectorAll(".fresh_infinit-scoller");
-  scrollers.forEach(scroller=>{
-    const list = scroller.querySelector('ul');
+ * @author Alexander Khost
+ *******************************************************************************************/
+const   freshBreakpointValues = { sm: 0, md: 768, lg: 990 },
+        freshBreakpointQueries = {};
 
-    //if the slides to scroll is set to 0 (for desktop and/or mobile), set the slide width to equal the size the image has been set to / remove white space around slide images
-    let slidesToShowMd = Number(list.getAttribute('data-slidesToShowMd'));
-    let slidesToShowSm = Number(list.getAttribute('data-slidesToShowSm'));
-    let slidesMaxWidthMd = Number(list.getAttribute('data-slidesMaxWidthMd'));
-    let slidesMaxWidthSm = Number(list.getAttribute('data-slidesMaxWidthSm'));
-    if(window.innerWidth >= 768 && slidesToShowMd == 0) {
-        for (var i = 0; i < list.children.length; i++) {
-            let imageWidthMd = Number(list.children[i].getAttribute('data-imageWidthMd'));
-            let slideWidth = slidesMaxWidthMd * imageWidthMd;
-            if( list.children[i].querySelector('img') !== null ) {
-                list.children[i].style.width = slideWidth + 'px';
-                list.children[i].querySelector('img').style.maxWidth = '100%';
-            }
-        }
-    } else if(window.innerWidth < 768 && slidesToShowSm == 0) {
-        for (var i = 0; i < list.children.length; i++) {
-            let imageWidthSm = Number(list.children[i].getAttribute('data-imagewidthMd')); //we're only supplying desktop slide images, and so, using md image on mobile for now --Alex 2024-03-20
-            let slideWidth = slidesMaxWidthSm * imageWidthSm;
-            if( list.children[i].querySelector('img') !== null ) {
-                list.children[i].style.width = slideWidth + 'px';
-                list.children[i].querySelector('img').style.maxWidth = '100%';
-                list.children[i].querySelector('img').removeAttribute('loading'); //removing lazy load for mobile scrolling images due to a related Safari iOS bug --Alex 2024-06-11
-            }
-        }
-    }
-    
-    //if using lazyload images, set the src to the data-src after cloning
-    for (var i = 0; i < list.children.length; i++) {
-        if(
-            list.children[i].querySelector('img') !== null &&
-            list.children[i].querySelector('img').getAttribute('src') == null &&
-            list.children[i].querySelector('img').getAttribute('data-src') !== ''
-            
-        ) {
-            list.children[i].querySelector('img').setAttribute('src', list.children[i].querySelector('img').getAttribute('data-src'));
-        }
-    }
+let     freshCurrentBreakpoint = null;
 
-    let animationSpeedMd = Number(list.getAttribute('data-animation-speedMd'))
-    let animationSpeedSm = Number(list.getAttribute('data-animation-speedSm'))
-    const duplicatedList = scroller.querySelector('.fresh-duplicated-list');
-    if (duplicatedList) duplicatedList.remove();
-    const clonedList = list.cloneNode(true);
-    clonedList.classList.add('fresh-duplicated-list');
-    list.classList.add('fresh-is-animated');
-    clonedList.classList.remove('fresh-is-animated');
-    scroller.appendChild(clonedList);
-    var slickData = clonedList.getAttribute('data-slick');
-    if (slickData) {
-      var fresh_slickSettings = JSON.parse(slickData.replace(/&quot;/g, '"'));
-      const desktopSlick = fresh_slickSettings.responsive[0].settings
-      const mobileSlick = fresh_slickSettings.responsive[1].settings
-      if (animationSpeedMd > 0 && desktopSlick !== 'unslick') animationSpeedMd = 0;
-      if (animationSpeedSm > 0 && mobileSlick !== 'unslick') animationSpeedSm = 0;
-    }
-    if (window.innerWidth <= 768 && animationSpeedSm > 0) fresh_startAnimation(list, clonedList);
-    else if (window.innerWidth > 768 && animationSpeedMd > 0) fresh_startAnimation(list, clonedList);
-  });
+function freshReadBreakpoints() {
+    const styles = getComputedStyle(document.documentElement),
+          config = document.getElementById('fresh-breakpoints');
+    Object.keys(freshBreakpointValues).forEach(name => {
+        const value = parseFloat(styles.getPropertyValue('--fresh-breakpoint-' + name));
+        if (!isNaN(value)) freshBreakpointValues[name] = value;
+    });
+    Object.assign(freshBreakpointValues, Fresh.config.breakpoints);
+    if (!config) return;
+    try {
+        Object.assign(freshBreakpointValues, JSON.parse(config.textContent));
+    } catch (error) {
+        freshLog.error('invalid #fresh-breakpoints JSON', error);
+    }
 }
 
-function fresh_startAnimation(list, clonedList){
-  clonedList.setAttribute('data-infinite-scroll', true);
-  var totalWidth = 0;
-  while (totalWidth < list.parentNode.offsetWidth * 11) {
-    for (var i = 0; i < list.children.length; i++) {
-      var clonedChild = list.children[i].cloneNode(true);
-      clonedChild.setAttribute('aria-hidden', 'true');
-      clonedList.appendChild(clonedChild);
-      totalWidth += clonedChild.offsetWidth;
-    }
-  }
+function freshMatchBreakpoint() {
+    return Object.keys(freshBreakpointValues)
+        .sort((a, b) => freshBreakpointValues[b] - freshBreakpointValues[a])
+        .find(name => Fresh.breakpoints.is(name)) || null;
 }
 
+function freshUpdateBreakpoint() {
+    const previous = freshCurrentBreakpoint;
+    freshCurrentBreakpoint = freshMatchBreakpoint();
+    if (previous === null || previous === freshCurrentBreakpoint) return;
+    document.dispatchEvent(new CustomEvent('fresh:breakpointchange', {
+        detail: { current: freshCurrentBreakpoint, previous }
+    }));
+}
 
-/********************************************************************************************
- * Title: Logo Click Handler
- *
- * Description:
- * Handles click events on logos, updating their opacity and displaying corresponding text.
- *
- * @Author Ahmed Ezzaouia
- ********************************************************************************************/
-function handleLogoClick(e) {
-  console.log("🚀 ~ handleLogoClick function: Event type: ", e.type)
-  const logos = document.querySelectorAll('.fresh-logobar');
-  const activeTexts = document.querySelectorAll('.fresh_bragbar_text');
-  logos.forEach((logo) => {
-    logo.addEventListener('click', () => {
-      logos.forEach((logo) => {
-        logo.style.opacity = '0.4';
-      });
-      logo.style.opacity = '1';
-      activeTexts.forEach((activeText) => {
-        activeText.style.display = 'none';
-      });
-      const blockId = logo.classList[1].replace('fresh-logobar--', '');
-      const activeText = document.querySelector('.fresh_bragbar_text--' + blockId);
-      activeText.style.display = 'block';
+function freshSetupBreakpoints() {
+    freshReadBreakpoints();
+    Object.keys(freshBreakpointQueries).forEach(name => {
+        freshBreakpointQueries[name].removeEventListener('change', freshUpdateBreakpoint);
+        delete freshBreakpointQueries[name];
     });
-  });
+    Object.keys(freshBreakpointValues).forEach(name => {
+        const query = window.matchMedia(`(min-width: ${freshBreakpointValues[name]}px)`);
+        query.addEventListener('change', freshUpdateBreakpoint);
+        freshBreakpointQueries[name] = query;
+    });
+    freshCurrentBreakpoint = freshMatchBreakpoint();
 }
 
+Fresh.breakpoints = {
+    get current() {
+        return freshCurrentBreakpoint || freshMatchBreakpoint();
+    },
+    get values() {
+        return Object.assign({}, freshBreakpointValues);
+    },
+    is(name) {
+        if (!(name in freshBreakpointValues)) return false;
+        const query = freshBreakpointQueries[name];
+        return query ? query.matches : window.innerWidth >= freshBreakpointValues[name];
+    }
+};
+
 
-/********************************************************************************************
- * Title: Convert Video Poster Images to High Quality
+/******************************************************************************************
+ * Title: Interaction Tracking
  *
  * Description:
- * Strips the _small and _medium image path names from images to ensure a higher quality video
+ * Fresh.track is the one place components report what visitors do with them. Every event is
+ * a name plus flat params, with the Shopify section id filled in from the element:
+ * - accordion_open { section_id, item_title, item_index }
+ * - carousel_slide_view { section_id, carousel_id, slide_index, backend }, not for autoplay
+ * - video_progress { section_id, video_id, video_src, percent } at 25, 50 and 75%
+ * - logo_select { section_id, block_id, logo_index, logo_name }
+ * - external_link_click { section_id, link_url, link_domain, link_text }
+ * - modal_open { section_id, modal_id, trigger }
+ * Events go to the configured sinks and are dispatched as 'fresh:track' ({ name, params }).
+ * - dataLayer: window.dataLayer.push({ event: name, ...params }) for GTM / GA4.
+ * - shopify: Shopify.analytics.publish(name, params), picked up by custom pixels as custom events.
+ * - console: logs the events, for development.
+ * Nothing is sent before analytics consent: events are buffered until 'visitorConsentCollected'
+ * grants it, or the theme's own banner calls Fresh.track.consent(true). With Shopify's Customer
+ * Privacy API on the page its answer is used, without it nothing is sent until one of those two.
+ * "consent": false turns the gating off, for stores that don't need it.
+ * Sampling is per session: "sample": 0.25 keeps a quarter of the sessions, "events" overrides
+ * it per event (a rate, or false to drop it).
  *
- * @author Alexander Khost, based off https://community.shopify.com/c/shopify-design/why-are-my-video-thumbnails-blurry-on-the-dawn-theme/m-p/2291713
- ********************************************************************************************/
-function freshConvertVideoPosterImages() {
-    let videos = document.querySelectorAll('.fresh_video');
-    videos.forEach(item=>{
-        let newThumbnail = item.getAttribute('poster'); 
-        if (newThumbnail.includes('_small')){ 
-            newThumbnail = newThumbnail.replace('_small',''); 
-            item.setAttribute('poster', newThumbnail)
-        } else if (newThumbnail.includes('_medium')){ 
-            newThumbnail = newThumbnail.replace('_medium',''); 
-            item.setAttribute('poster', newThumbnail)
+ * <script type="application/json" id="fresh-config">
+ *   {
+ *     "features": {
+ *       "analytics": { "sinks": ["dataLayer", "console"], "sample": 0.5, "events": { "video_progress": false } }
+ *     }
+ *   }
+ * </script>
+ *
+ * Usage:
+ * Fresh.track('size_chart_open', { product_id: 123 }, element)
+ * Fresh.track.sink('klaviyo', (name, params) => klaviyo.push(['track', name, params]))
+ * Fresh.track.consent(true)
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+const   freshTrackSinks = {
+            dataLayer(name, params) {
+                (window.dataLayer = window.dataLayer || []).push(Object.assign({ event: name }, params));
+            },
+            shopify(name, params) {
+                const analytics = window.Shopify && window.Shopify.analytics;
+                if (analytics && typeof analytics.publish === 'function') analytics.publish(name, params);
+            },
+            console(name, params) {
+                console.info('Freshwater track:', name, params);
+            }
+        },
+        freshTrackCustomSinks = {},
+        freshTrackBuffer = [];
+
+let     freshTrackConsentOverride = null,
+        freshTrackConsentCollected = false,
+        freshTrackSampleValue = null;
+
+//one random number per session, so a sampled session keeps all of its events
+function freshTrackSample() {
+    if (freshTrackSampleValue !== null) return freshTrackSampleValue;
+    try {
+        freshTrackSampleValue = parseFloat(sessionStorage.getItem('fresh-track-sample'));
+        if (isNaN(freshTrackSampleValue)) {
+            freshTrackSampleValue = Math.random();
+            sessionStorage.setItem('fresh-track-sample', freshTrackSampleValue);
         }
-    });
+    } catch (error) {
+        freshTrackSampleValue = Math.random();
+    }
+    return freshTrackSampleValue;
 }
 
+function freshTrackConsent() {
+    if (freshTrackConsentOverride !== null) return freshTrackConsentOverride;
+    const consent = freshFeatureOptions('analytics').consent,
+          privacy = window.Shopify && window.Shopify.customerPrivacy;
+    if (consent === false) return true;
+    if (privacy && typeof privacy.analyticsProcessingAllowed === 'function') return !!privacy.analyticsProcessingAllowed();
+    return freshTrackConsentCollected;
+}
 
-/*#########################################################################################
-#                                                                                         #
-#    Event Listeners                                                                      #
-#    -----------------                                                                    #
-#    Hook functions to specific events here.                                              #
-#                                                                                         #
-#########################################################################################*/
+function freshTrackSend(name, params) {
+    const sinks = freshFeatureOptions('analytics').sinks || ['dataLayer', 'shopify'];
+    sinks.map(sink => freshTrackSinks[sink])
+        .concat(Object.values(freshTrackCustomSinks))
+        .forEach(sink => {
+            if (typeof sink !== 'function') return;
+            try {
+                sink(name, params);
+            } catch (error) {
+                freshLog.error('tracking sink failed', error);
+            }
+        });
+    document.dispatchEvent(new CustomEvent('fresh:track', { detail: { name, params } }));
+}
 
-$0(document).ready(function() {
-  freshOpenExternalLinksInNewWindow();
-  smoothScrollToInlineAnchors();
-  initializeAnimationOnReload();
-  fresh_toggleAccordion();
-  freshSetXY();
-  freshConvertVideoPosterImages();
-});
+/**
+ * Reports an interaction.
+ *
+ * @param {String} name - The event name, snake_case like GA4's.
+ * @param {Object} [params] - Flat event parameters.
+ * @param {Element} [element] - The element it happened on, used for the section id.
+ * @returns {Boolean} False if the event was dropped by the config or sampling.
+ */
+function freshTrack(name, params = {}, element) {
+    const options = freshFeatureOptions('analytics'),
+          rate = options.events && name in options.events ? options.events[name] : options.sample,
+          section = element && element.closest('.shopify-section');
+    if (!freshFeatureEnabled('analytics') || rate === false) return false;
+    if (typeof rate === 'number' && freshTrackSample() >= rate) return false;
 
-$0(document).ready(function(e) {
-  fresh_infinite_scroll(e);
-  fresh_slickInit(".fresh-slides");
-//  freshSetXY();
-  handleLogoClick(e);
-});
+    params = Object.assign({ section_id: section ? section.id.replace(/^shopify-section-/, '') : null }, params);
+    if (freshTrackConsent()) {
+        freshTrackSend(name, params);
+    } else if (freshTrackBuffer.length < 50) {
+        freshTrackBuffer.push([name, params]);
+    }
+    return true;
+}
 
-$0(window).on('resize', debounce(function(e) {
-  fresh_handleVideoLoad();
-  freshSetXY();
-  fresh_infinite_scroll(e);
-  fresh_slickInit(".fresh-slides");
-  handleLogoClick(e);
-}, 100));
+function freshTrackFlush() {
+    if (!freshTrackConsent()) return;
+    freshTrackBuffer.splice(0).forEach(([name, params]) => freshTrackSend(name, params));
+}
+
+function freshInitTracking() {
+    //Shopify's Customer Privacy API fires this on the document once the visitor answered the banner
+    const onConsent = event => {
+        freshTrackConsentCollected = !!(event.detail && event.detail.analyticsAllowed);
+        if (event.detail && event.detail.analyticsAllowed === false) freshTrackBuffer.length = 0;
+        freshTrackFlush();
+    };
+    document.addEventListener('visitorConsentCollected', onConsent);
+    freshTrackFlush();
+    return { onConsent };
+}
 
-//sticky-header scrolling detection
-var freshScroll = 0;
-$freshWindow.scroll(function(){
-    let $freshStickyHeader = $0('sticky-header').first(),
-        freshStickyHeaderHeight = $freshStickyHeader.outerHeight();
-    freshScroll = $freshWindow.scrollTop();
+function freshDestroyTracking(html, state) {
+    document.removeEventListener('visitorConsentCollected', state.onConsent);
+}
 
-    if (freshScroll >= freshStickyHeaderHeight) {
-        $freshStickyHeader.addClass('fresh-scrolled');
-    } else {
-        $freshStickyHeader.removeClass('fresh-scrolled');
+Fresh.track = Object.assign(freshTrack, {
+    sink(name, sink) {
+        if (sink) freshTrackCustomSinks[name] = sink;
+        else delete freshTrackCustomSinks[name];
+    },
+    consent(granted) {
+        freshTrackConsentOverride = granted === undefined ? null : !!granted;
+        if (freshTrackConsentOverride === false) freshTrackBuffer.length = 0;
+        freshTrackFlush();
     }
 });
-$0(document).ready(function() {
-    let $freshStickyHeader = $0('sticky-header').first(),
-        freshStickyHeaderHeight = $freshStickyHeader.outerHeight(),
-        $mobileHeaderDrawer = $freshStickyHeader.find('header-drawer').first();
-    $mobileHeaderDrawer.on('click',function() {
-        if (freshScroll <= freshStickyHeaderHeight) {
-            if($freshStickyHeader.hasClass('fresh-scrolled')) {
-                $freshStickyHeader.removeClass('fresh-scrolled');
-            } else {
-                $freshStickyHeader.addClass('fresh-scrolled');
-            }
-        }
-    });
+
+
+/********************************************************************************************
+ * Title: ADA Compliance Fix for Slick Carousels
+ *
+ * Description:
+ * Fixes ADA compliance for Slick carousels without dots. 
+ * Ensures that proper ARIA attributes are set for enhanced accessibility in carousels.
+ * This function dynamically adjusts ARIA attributes to meet accessibility standards.
+ * The Slick carousel backend runs it on every (re)init, themes no longer call it themselves.
+ *
+ * Reference: 
+ * https://www.beacontechnologies.com/blog/2017/11/how-to-remove-aria-described-by-if-dots-are-disabled-in-slick-slider.aspx
+ *
+ * Parameters:
+ * @param {string|object} slickCarousel - The Slick carousel element (or selector) to be modified.
+ * 
+ * @author Alexander Khost
+ ********************************************************************************************/
+function freshCheckSlickAriaAttributes( slickCarousel ) {
+    if (!$0) return;
+    $0( slickCarousel ).find('li').each(function () {
+        let $slide = $0(this);
+        if ($slide.attr('aria-describedby') != undefined) {
+            $slide.attr('id', $slide.attr('aria-describedby'));
+        }
+    });
+}
+
+
+/********************************************************************************************
+ * Title: External Link Policy
+ *
+ * Description:
+ * Opens external links in a new window by setting target/rel on the anchors themselves, so the
+ * browser keeps handling middle-clicks, modifier keys and 'mailto:' / 'tel:' links natively.
+ * - Only http(s) links whose host isn't internal are touched. Internal hosts are the store's own
+ *   domain and its subdomains plus Fresh.linkPolicy.internalDomains ('*.' matches subdomains).
+ * - Links added later (sections re-rendered in the editor, reviews, AJAX content) are handled
+ *   through a MutationObserver, and the clicked link is re-checked right before it navigates.
+ * - Adds 'noopener' to every link opened in a new window.
+ * - Links matching Fresh.linkPolicy.exclude (Judge.me pagination by default) are left alone.
+ *
+ * Overrides (data attributes):
+ * - data-fresh-external="new-window|same-window|false" on a link.
+ * - data-fresh-external-links="new-window|same-window|false" on a section or any container.
+ * - data-fresh-internal-domains="shop.example.com,*.example.org" on a section or any container.
+ * Store-wide options go in the store config under features["external-links"] (or can be set
+ * before this file loads through window.Fresh.linkPolicy).
+ * 
+ * Reference: https://css-tricks.com/snippets/jquery/open-external-links-in-new-window/
+ *
+ * @param {Element|Document} root - an optional element to apply the policy within, defaults to the document
+ *
+ * @author Alexander Khost
+ ********************************************************************************************/
+Fresh.linkPolicy = Object.assign({
+    internalDomains: ['checkout.shopify.com', '*.myshopify.com', 'shop.app', 'judge.me', '*.judge.me'],
+    exclude: '.jdgm-paginate__page, .jdgm-star, .jdgm-paginate__load-more',
+    target: '_blank',
+    rel: 'noopener'
+}, Fresh.linkPolicy, freshFeatureOptions('external-links'));
+
+function freshDomainMatches(hostname, pattern) {
+    pattern = pattern.trim().toLowerCase();
+    if (pattern.startsWith('*.')) {
+        const domain = pattern.slice(2);
+        return hostname === domain || hostname.endsWith('.' + domain);
+    }
+    return hostname === pattern;
+}
+
+/**
+ * Whether a URL leaves the store, taking the link's container overrides into account.
+ *
+ * @param {URL|String} url - The URL to check.
+ * @param {Element} [link] - The link, used to look up data-fresh-internal-domains.
+ * @returns {Boolean}
+ */
+function freshIsExternalLink(url, link) {
+    url = url instanceof URL ? url : new URL(url, document.baseURI);
+    if (!/^https?:$/.test(url.protocol)) return false;
+
+    const hostname = url.hostname.toLowerCase(),
+          storeDomain = window.location.hostname.toLowerCase().replace(/^www\./, ''),
+          scope = link && link.closest('[data-fresh-internal-domains]'),
+          domains = ['*.' + storeDomain]
+              .concat(Fresh.linkPolicy.internalDomains)
+              .concat(scope ? scope.getAttribute('data-fresh-internal-domains').split(',') : []);
+    return !domains.some(pattern => pattern && freshDomainMatches(hostname, pattern));
+}
+
+function freshApplyLinkPolicy(link) {
+    let url;
+    try {
+        url = new URL(link.getAttribute('href'), document.baseURI);
+    } catch (error) {
+        return;
+    }
+    const scope = link.closest('[data-fresh-external-links]'),
+          mode = link.getAttribute('data-fresh-external') || (scope && scope.getAttribute('data-fresh-external-links')) || 'new-window';
+    if (mode === 'false' || (Fresh.linkPolicy.exclude && link.matches(Fresh.linkPolicy.exclude))) return;
+    if (!freshIsExternalLink(url, link)) return;
+
+    link.setAttribute('data-fresh-external-link', '');
+    if (mode === 'new-window' && !link.hasAttribute('target')) link.target = Fresh.linkPolicy.target;
+    if (link.target === '_blank') {
+        Fresh.linkPolicy.rel.split(' ').filter(Boolean).forEach(token => link.relList.add(token));
+    }
+}
+
+function freshOpenExternalLinksInNewWindow(root = document) {
+    root.querySelectorAll('a[href]').forEach(freshApplyLinkPolicy);
+}
+
+function freshInitLinkPolicy() {
+    freshOpenExternalLinksInNewWindow(document);
+
+    const observer = new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+            if (mutation.type === 'attributes') {
+                if (mutation.target.matches('a[href]')) freshApplyLinkPolicy(mutation.target);
+                return;
+            }
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                if (node.matches('a[href]')) freshApplyLinkPolicy(node);
+                node.querySelectorAll('a[href]').forEach(freshApplyLinkPolicy);
+            });
+        });
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, attributeFilter: ['href'] });
+    //last check before the browser follows the link, e.g. when the href was set by a script we didn't see
+    const onClick = event => {
+        const link = event.target.closest && event.target.closest('a[href]');
+        if (!link) return;
+        freshApplyLinkPolicy(link);
+        if (link.hasAttribute('data-fresh-external-link')) {
+            freshTrack('external_link_click', {
+                link_url: link.href,
+                link_domain: link.hostname,
+                link_text: link.textContent.trim()
+            }, link);
+        }
+    };
+    document.addEventListener('click', onClick, true);
+    return { observer, onClick };
+}
+
+function freshDestroyLinkPolicy(html, state) {
+    state.observer.disconnect();
+    document.removeEventListener('click', state.onClick, true);
+}
+
+Fresh.links = {
+    policy: Fresh.linkPolicy,
+    apply: freshOpenExternalLinksInNewWindow,
+    isExternal: freshIsExternalLink
+};
+
+
+/********************************************************************************************
+ * Title: Smooth Scrolling for Anchor Links
+ *
+ * Description:
+ * Implements smooth scrolling for internal anchor links.
+ * - Only takes over '#hash' links whose target exists on the page. 'href="#"', '#!' routes,
+ *   drawer/modal toggles (aria-controls, aria-haspopup, role="button"/"tab") and links inside
+ *   a [data-fresh-scroll="false"] container are left to the browser / theme.
+ * - Stops above the sticky header, using its measured height (the reduced 'fresh-scrolled'
+ *   height once the page is scrolled past it). The same offset is kept in the page's
+ *   scroll-padding-top so native jumps (back/forward, initial hash) line up as well.
+ * - Updates the URL (pushState, or replaceState with data-fresh-scroll-history="replace")
+ *   and notifies hash listeners such as the accordions.
+ * - Moves focus to the target for keyboard and screen reader users.
+ * - Jumps instead of animating when the user prefers reduced motion.
+ * - Re-aligns the initial hash target once the page has loaded.
+ *
+ * @author Alexander Khost
+ ********************************************************************************************/
+const freshScrollIgnore = '[data-fresh-scroll="false"], [aria-controls], [aria-haspopup], [role="button"], [role="tab"]',
+      freshHeaderHeights = {};
+
+function freshHashTarget(hash) {
+    if (!hash || hash === '#' || hash.startsWith('#!')) return null;
+    let id;
+    try {
+        id = decodeURIComponent(hash.slice(1));
+    } catch (error) {
+        return null;
+    }
+    const target = document.getElementById(id) || document.getElementsByName(id)[0] || null;
+    //a modal's own hash opens it instead (see Modals)
+    return target && !target.closest(freshModalSelector) ? target : null;
+}
+
+/**
+ * The height the sticky header will cover at a scroll position.
+ *
+ * @param {Number} [top] - The document scroll position that will be scrolled to.
+ * @returns {Number} The offset in pixels.
+ */
+function freshStickyHeaderOffset(top = window.scrollY) {
+    const header = document.querySelector('sticky-header');
+    if (!header || header.getAttribute('data-sticky-type') === 'none') return 0;
+    //the header gets out of the way when scrolling down
+    if ((header.getAttribute('data-sticky-type') === 'on-scroll-up' || freshHeaderHidesOnScroll(header)) && top > window.scrollY) return 0;
+
+    const height = header.getBoundingClientRect().height;
+    freshHeaderHeights[header.classList.contains('fresh-scrolled') ? 'scrolled' : 'top'] = height;
+    return top >= (freshHeaderHeights.top || height) ? (freshHeaderHeights.scrolled || height) : (freshHeaderHeights.top || height);
+}
+
+/**
+ * Scrolls to an element below the sticky header.
+ *
+ * @param {Element} target - The element to scroll to.
+ * @param {Object} [options]
+ * @param {String} [options.hash] - Hash to write to the URL.
+ * @param {String} [options.history] - 'push' (default) or 'replace'.
+ * @param {Boolean} [options.focus] - Move focus to the target, defaults to true.
+ * @param {Boolean} [options.instant] - Jump instead of animating.
+ */
+function freshScrollTo(target, options = {}) {
+    const top = target.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo({
+        top: Math.max(0, top - freshStickyHeaderOffset(top)),
+        behavior: options.instant || freshReducedMotion.matches ? 'auto' : 'smooth'
+    });
+
+    if (options.hash && options.hash !== window.location.hash) {
+        const oldURL = window.location.href;
+        history[options.history === 'replace' ? 'replaceState' : 'pushState'](history.state, '', options.hash);
+        window.dispatchEvent(new HashChangeEvent('hashchange', { oldURL, newURL: window.location.href }));
+    }
+
+    if (options.focus !== false) {
+        if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) target.setAttribute('tabindex', '-1');
+        target.focus({ preventScroll: true });
+    }
+}
+
+function smoothScrollToInlineAnchors() {
+  const state = {};
+
+  state.onClick = function (event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    const link = event.target.closest && event.target.closest('a[href^="#"]');
+    if (!link || link.closest(freshScrollIgnore)) return;
+
+    const hash = link.getAttribute('href'),
+          target = freshHashTarget(hash);
+    if (!target) return;
+
+    event.preventDefault();
+    freshScrollTo(target, { hash, history: link.getAttribute('data-fresh-scroll-history') });
+  };
+  document.addEventListener('click', state.onClick);
+
+  const updateScrollPadding = () => {
+    document.documentElement.style.scrollPaddingTop = freshStickyHeaderOffset() + 'px';
+  };
+  updateScrollPadding();
+  state.onResize = debounce(updateScrollPadding, 100);
+  window.addEventListener('resize', state.onResize);
+
+  //the browser already jumped to the initial hash, correct it once images have settled the layout
+  state.onLoad = () => {
+    updateScrollPadding();
+    const target = freshHashTarget(window.location.hash);
+    if (target) freshScrollTo(target, { instant: true, focus: false });
+  };
+  if (document.readyState === 'complete') state.onLoad();
+  else window.addEventListener('load', state.onLoad);
+  return state;
+}
+
+function freshDestroyAnchorScroll(html, state) {
+  document.removeEventListener('click', state.onClick);
+  window.removeEventListener('resize', state.onResize);
+  window.removeEventListener('load', state.onLoad);
+  document.documentElement.style.scrollPaddingTop = '';
+}
+
+Fresh.scroll = {
+    to: freshScrollTo,
+    offset: freshStickyHeaderOffset
+};
+
+/********************************************************************************************
+ * Title: Scroll Reveal Animations
+ *
+ * Description:
+ * Reveals elements as they scroll into view, on any theme (no longer relies on Dawn's
+ * initializeScrollAnimationTrigger).
+ * - data-fresh-animate="fade-up|zoom|slide-left" opts an element in.
+ * - data-fresh-animate-delay / data-fresh-animate-duration in ms (defaults 0 / 600).
+ * - data-fresh-animate-stagger="80" on a grid or carousel animates its children instead, each
+ *   one stagger later than the previous one of the same batch. Grid items are revealed as they
+ *   come into view, carousel slides all at once when the carousel does (clones are skipped).
+ *   data-fresh-animate-items sets which children, direct children by default.
+ * - Once an animation has finished the classes are removed again, so they can't interfere with
+ *   the element's own hover transitions.
+ * - Re-armed whenever a section is (re)loaded in the theme editor, content shows right away
+ *   when the user prefers reduced motion.
+ *
+ * Example usage in a Shopify section:
+ *
+ * <h2 data-fresh-animate="fade-up">...</h2>
+ * <ul class="grid" data-fresh-animate="zoom" data-fresh-animate-stagger="80">
+ *    <li>...</li>
+ * </ul>
+ *
+ * @author Alexander Khost
+ ********************************************************************************************/
+const   freshAnimateEffects = ['fade-up', 'zoom', 'slide-left'],
+        freshAnimateStates = new WeakMap();
+
+let     freshAnimateObserver = null;
+
+function freshAnimateCarousel(element) {
+    return element.matches('.fresh-slides, .slick-slider');
+}
+
+function freshAnimateChildren(element) {
+    const selector = element.getAttribute('data-fresh-animate-items') ||
+              (element.classList.contains('slick-initialized') ? '.slick-slide:not(.slick-cloned)' : ':scope > *');
+    return Array.from(element.querySelectorAll(selector)).filter(item => !item.hasAttribute('data-fresh-animate'));
+}
+
+function freshInitAnimate(element) {
+    let effect = element.getAttribute('data-fresh-animate');
+    if (!freshAnimateEffects.includes(effect)) {
+        freshLog.warn(`unknown data-fresh-animate "${effect}", using fade-up`, element);
+        effect = 'fade-up';
+    }
+    const state = {
+        element,
+        effect,
+        delay: Number(element.getAttribute('data-fresh-animate-delay')) || 0,
+        duration: Number(element.getAttribute('data-fresh-animate-duration')) || 600,
+        stagger: element.hasAttribute('data-fresh-animate-stagger') ? Number(element.getAttribute('data-fresh-animate-stagger')) || 0 : null,
+        timers: new Set()
+    };
+    state.items = state.stagger === null ? [element] : freshAnimateChildren(element);
+    if (freshReducedMotion.matches || !('IntersectionObserver' in window)) return state;
+
+    freshAnimateObserver = freshAnimateObserver || new IntersectionObserver(freshAnimateEntries, { rootMargin: '0px 0px -10% 0px' });
+    state.items.forEach(item => {
+        item.classList.add('fresh-animate', 'fresh-animate--' + state.effect);
+        item.style.setProperty('--fresh-animate-duration', state.duration + 'ms');
+        freshAnimateStates.set(item, state);
+    });
+    //slides outside the carousel's viewport never intersect, so the carousel triggers them
+    const targets = state.stagger !== null && freshAnimateCarousel(element) ? [element] : state.items;
+    targets.forEach(target => {
+        freshAnimateStates.set(target, state);
+        freshAnimateObserver.observe(target);
+    });
+    state.targets = targets;
+    return state;
+}
+
+function freshAnimateEntries(entries) {
+    const batch = new Map();
+    entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        const state = freshAnimateStates.get(entry.target);
+        freshAnimateObserver.unobserve(entry.target);
+        if (!state) return;
+        if (!batch.has(state)) batch.set(state, []);
+        batch.get(state).push(...(entry.target === state.element && state.stagger !== null ? state.items : [entry.target]));
+    });
+    batch.forEach((items, state) => {
+        items.sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+             .forEach((item, index) => freshAnimateReveal(state, item, state.delay + index * (state.stagger || 0)));
+    });
+}
+
+function freshAnimateReveal(state, item, delay) {
+    item.style.setProperty('--fresh-animate-delay', delay + 'ms');
+    item.classList.add('fresh-animate--in');
+    const timer = setTimeout(() => {
+        state.timers.delete(timer);
+        freshAnimateReset(item);
+    }, delay + state.duration + 50);
+    state.timers.add(timer);
+}
+
+function freshAnimateReset(item) {
+    item.classList.remove('fresh-animate', 'fresh-animate--in', ...freshAnimateEffects.map(effect => 'fresh-animate--' + effect));
+    item.style.removeProperty('--fresh-animate-delay');
+    item.style.removeProperty('--fresh-animate-duration');
+    freshAnimateStates.delete(item);
+}
+
+function freshDestroyAnimate(element, state) {
+    state.timers.forEach(clearTimeout);
+    if (freshAnimateObserver && state.targets) state.targets.forEach(target => freshAnimateObserver.unobserve(target));
+    state.items.forEach(freshAnimateReset);
+    freshAnimateStates.delete(element);
+}
+
+
+/********************************************************************************************
+ * Title: Accordion Behavior Handler
+ *
+ * Description:
+ * Accessible accordions, grouped per container so that accordions in different sections no
+ * longer close each other. A group is the closest '[data-fresh-accordion]' element, or the
+ * Shopify section the '.accordion_item' elements live in.
+ * - Headers get aria-expanded/aria-controls (and role="button" when they aren't buttons),
+ *   panels get role="region" and are 'hidden' while closed.
+ * - Toggles 'active' class on accordion headers and swaps the icon1/icon2 header icons.
+ * - Adjusts the maximum height of the accordion content to show/hide it, and recalculates it
+ *   when the window resizes or the content inside changes (images loading, editor changes).
+ * - Arrow Up/Down, Home and End move focus between the headers of a group.
+ * - Opens the item a URL hash points at (the item, its header, its panel, or anything inside).
+ *
+ * Group options (data attributes on the container):
+ * - data-accordion-mode: 'single' (default) closes the other items of the group, 'multi' doesn't.
+ * - data-accordion-expanded: items to open initially, 'none' (default), 'first', 'all' or a
+ *   comma separated list of 1-based positions, e.g. "1,3".
+ * An item can also be opened initially with a 'data-accordion-open' attribute.
+ *
+ * Example usage in a Shopify section:
+ *
+ * <div data-fresh-accordion data-accordion-mode="multi" data-accordion-expanded="first">
+ *    <div class="accordion_item" id="faq-{{ block.id }}">
+ *       <button class="accordion-header">...</button>
+ *       <div class="accordion-content">...</div>
+ *    </div>
+ * </div>
+ *
+ * @author Ahmed Ezzaouia
+/********************************************************************************************/
+let freshAccordionCount = 0;
+
+function freshAccordionGroup(item) {
+  return item.parentElement.closest('[data-fresh-accordion], .shopify-section');
+}
+
+function freshAccordionItems(group) {
+  return Array.from(group.querySelectorAll('.accordion_item'))
+    .filter(item => freshAccordionGroup(item) === group && item.querySelector(':scope > .accordion-header + .accordion-content'));
+}
+
+/**
+ * Opens or closes a single accordion item.
+ *
+ * @param {Element} item - The '.accordion_item' element.
+ * @param {Boolean} open - Whether the item should be open.
+ */
+function freshSetAccordionItem(item, open) {
+  const header = item.querySelector(':scope > .accordion-header'),
+        content = header.nextElementSibling;
+
+  header.classList.toggle('active', open);
+  header.setAttribute('aria-expanded', open);
+  header.querySelectorAll('.icon1').forEach(icon => icon.style.display = open ? 'none' : '');
+  header.querySelectorAll('.icon2').forEach(icon => icon.style.display = open ? '' : 'none');
+  clearTimeout(content.freshAccordionTimer);
+
+  if (open) {
+    content.hidden = false;
+    content.style.maxHeight = content.scrollHeight + 'px';
+  } else {
+    content.style.maxHeight = 0;
+    // keep the panel visible until the max-height transition has finished
+    const duration = parseFloat(getComputedStyle(content).transitionDuration) || 0;
+    content.freshAccordionTimer = setTimeout(() => {
+      if (header.getAttribute('aria-expanded') === 'false') content.hidden = true;
+    }, duration * 1000);
+  }
+}
+
+/**
+ * Toggles an accordion item, closing the rest of its group in single-open mode.
+ *
+ * @param {Element} group - The accordion group element.
+ * @param {Element} item - The '.accordion_item' element.
+ * @param {Boolean} [open] - Force the item open or closed instead of toggling it.
+ */
+function fresh_toggleAccordion(group, item, open) {
+  const header = item.querySelector(':scope > .accordion-header');
+  if (open === undefined) open = header.getAttribute('aria-expanded') !== 'true';
+
+  freshSetAccordionItem(item, open);
+  if (open && group.getAttribute('data-accordion-mode') !== 'multi') {
+    freshAccordionItems(group)
+      .filter(other => other !== item && other.querySelector(':scope > .accordion-header').getAttribute('aria-expanded') === 'true')
+      .forEach(other => freshSetAccordionItem(other, false));
+  }
+}
+
+//only the items a visitor opens, not the ones opened by the hash or the theme editor
+function freshTrackAccordionOpen(group, item) {
+  const header = item.querySelector(':scope > .accordion-header');
+  if (header.getAttribute('aria-expanded') !== 'true') return;
+  freshTrack('accordion_open', { item_title: header.textContent.trim(), item_index: freshAccordionItems(group).indexOf(item) }, item);
+}
+
+/**
+ * Recalculates the max-height of the open panels of a group.
+ *
+ * @param {Element} group - The accordion group element.
+ */
+function freshRefreshAccordion(group) {
+  freshAccordionItems(group).forEach(item => {
+    const content = item.querySelector(':scope > .accordion-content');
+    if (content.previousElementSibling.getAttribute('aria-expanded') === 'true') {
+      content.style.maxHeight = content.scrollHeight + 'px';
+    }
+  });
+}
+
+/**
+ * Opens the item of a group the current URL hash points at, if any.
+ *
+ * @param {Element} group - The accordion group element.
+ * @returns {Boolean} True if an item was opened.
+ */
+function freshOpenAccordionFromHash(group) {
+  let target = null;
+  try {
+    target = window.location.hash.length > 1 && document.querySelector(decodeURIComponent(window.location.hash));
+  } catch (error) {
+    return false;
+  }
+  const item = target && freshAccordionItems(group).find(item => item.contains(target));
+  if (!item) return false;
+  fresh_toggleAccordion(group, item, true);
+  return true;
+}
+
+/**
+ * Sets up an accordion group.
+ *
+ * @param {Element} group - The '[data-fresh-accordion]' or section element.
+ * @returns {Object|undefined} The instance state, undefined if the group has no accordion items.
+ */
+function freshInitAccordion(group) {
+  const items = freshAccordionItems(group);
+  if (!items.length) return;
+
+  const groupId = group.id || 'FreshAccordion-' + (++freshAccordionCount),
+        expanded = (group.getAttribute('data-accordion-expanded') || 'none').trim();
+
+  items.forEach((item, index) => {
+    const header = item.querySelector(':scope > .accordion-header'),
+          content = header.nextElementSibling;
+    header.id = header.id || `${groupId}-header-${index + 1}`;
+    content.id = content.id || `${groupId}-content-${index + 1}`;
+    if (header.tagName !== 'BUTTON') {
+      header.setAttribute('role', 'button');
+      header.tabIndex = 0;
+    }
+    header.setAttribute('aria-controls', content.id);
+    content.setAttribute('role', 'region');
+    content.setAttribute('aria-labelledby', header.id);
+
+    const open = item.hasAttribute('data-accordion-open') ||
+      expanded === 'all' ||
+      (expanded === 'first' && index === 0) ||
+      expanded.split(',').map(Number).includes(index + 1);
+    freshSetAccordionItem(item, open);
+  });
+  freshOpenAccordionFromHash(group);
+
+  const state = {
+    onClick(event) {
+      const header = event.target.closest('.accordion-header'),
+            item = header && header.parentElement;
+      if (!item || !items.includes(item) || event.target.closest('.accordion-content')) return;
+      fresh_toggleAccordion(group, item);
+      freshTrackAccordionOpen(group, item);
+    },
+    onKeydown(event) {
+      const header = event.target.closest('.accordion-header'),
+            headers = freshAccordionItems(group).map(item => item.querySelector(':scope > .accordion-header')),
+            index = headers.indexOf(header);
+      if (index < 0 || event.target !== header) return;
+
+      let next;
+      switch (event.key) {
+        case 'ArrowDown': next = headers[(index + 1) % headers.length]; break;
+        case 'ArrowUp': next = headers[(index - 1 + headers.length) % headers.length]; break;
+        case 'Home': next = headers[0]; break;
+        case 'End': next = headers[headers.length - 1]; break;
+        case 'Enter':
+        case ' ':
+          if (header.tagName === 'BUTTON') return;
+          event.preventDefault();
+          fresh_toggleAccordion(group, header.parentElement);
+          freshTrackAccordionOpen(group, header.parentElement);
+          return;
+        default: return;
+      }
+      event.preventDefault();
+      next.focus();
+    },
+    onHashChange: () => freshOpenAccordionFromHash(group),
+    onLoad: debounce(() => freshRefreshAccordion(group), 50),
+    observer: new MutationObserver(debounce(() => freshRefreshAccordion(group), 50))
+  };
+  group.addEventListener('click', state.onClick);
+  group.addEventListener('keydown', state.onKeydown);
+  group.addEventListener('load', state.onLoad, true);
+  window.addEventListener('hashchange', state.onHashChange);
+  items.forEach(item => {
+    state.observer.observe(item.querySelector(':scope > .accordion-content'), { childList: true, subtree: true, characterData: true });
+  });
+  return state;
+}
+
+function freshDestroyAccordion(group, state) {
+  if (!state) return;
+  group.removeEventListener('click', state.onClick);
+  group.removeEventListener('keydown', state.onKeydown);
+  group.removeEventListener('load', state.onLoad, true);
+  window.removeEventListener('hashchange', state.onHashChange);
+  state.observer.disconnect();
+}
+
+
+/*********************************************************************************************
+ * Title: Hero Section Box Positioning
+ *
+ * Description:
+ * Adjusts positioning of content boxes in hero sections.
+ * - Finds each '.fresh-hero__box' within a '.fresh-hero' section.
+ * - Positions the box at a percentage of the free space (hero size minus box size), read from
+ *   the breakpoint map in the hero's 'data-herobox' attribute. Keys are minimum viewport widths
+ *   and the widest matching breakpoint wins:
+ *     data-herobox='{"0":{"x":10,"y":80},"768":{"x":50,"y":50},"1200":{"x":90,"y":50}}'
+ *   Breakpoint names ("sm", "md", "lg", see Fresh.breakpoints) work as keys too. The legacy
+ *   'heroboxxsm', 'heroboxysm' / 'heroboxxmd', 'heroboxymd' attributes are read as the "0" and
+ *   "md" breakpoints when there is no 'data-herobox'.
+ * - Displays the box if it has text, hides it otherwise.
+ * - Re-positions through a ResizeObserver on every hero and box, so late loading images and
+ *   slides changing height don't leave boxes behind.
+ * - Updated to support hero carousels with multiple hero slides --Alex, 20240411
+ *   Slides Slick adds or rebuilds later (clones, 'breakpoint' / 'reInit') are picked up too.
+ *
+ * Without JS the boxes are laid out in CSS from the same percentages, set by the theme as the
+ * --fresh-herobox-x / --fresh-herobox-y custom properties (with -sm / -md variants).
+ *
+ * @author Ahmed Ezzaouia
+ ********************************************************************************************/
+function freshHeroBoxLayout(fresh_hero) {
+    const fresh_layout = fresh_hero.getAttribute('data-herobox');
+    if (fresh_layout) {
+        try {
+            return JSON.parse(fresh_layout.replace(/&quot;/g, '"'));
+        } catch (error) {
+            freshLog.error('invalid data-herobox JSON', fresh_hero, error);
+        }
+    }
+    return {
+        0: { x: fresh_hero.getAttribute('data-heroboxxsm'), y: fresh_hero.getAttribute('data-heroboxysm') },
+        md: { x: fresh_hero.getAttribute('data-heroboxxmd'), y: fresh_hero.getAttribute('data-heroboxymd') }
+    };
+}
+
+function fresh_heroBoxPositioning(fresh_hero) {
+    const fresh_box = fresh_hero.querySelector('.fresh-hero__box');
+    if (!fresh_box) return;
+
+    const fresh_layout = freshHeroBoxLayout(fresh_hero),
+          fresh_breakpoint = freshBreakpointKey(fresh_layout),
+          fresh_position = fresh_layout[fresh_breakpoint] || {};
+
+    var leftPosition = ((fresh_hero.offsetWidth - fresh_box.offsetWidth) * (Number(fresh_position.x) || 0)) / 100;
+    var topPosition = ((fresh_hero.offsetHeight - fresh_box.offsetHeight) * (Number(fresh_position.y) || 0)) / 100;
+    fresh_box.style.top = `${topPosition}px`;
+    fresh_box.style.left = `${leftPosition}px`;
+    fresh_box.style.display = fresh_box.textContent.trim() ? 'block' : 'none';
+    fresh_hero.classList.add('fresh-hero--positioned');
+}
+
+/**
+ * Positions every hero of a '.fresh-hero-container' and starts observing the ones it hasn't
+ * seen yet.
+ *
+ * @param {Element} container - The '.fresh-hero-container' element.
+ * @param {Object} state - The hero state returned by freshSetXY().
+ */
+function freshPositionHeroes(container, state) {
+    container.querySelectorAll('.fresh-hero').forEach(fresh_hero => {
+        if (state.observer && !state.observed.has(fresh_hero)) {
+            state.observed.add(fresh_hero);
+            state.observer.observe(fresh_hero);
+            const fresh_box = fresh_hero.querySelector('.fresh-hero__box');
+            if (fresh_box) state.observer.observe(fresh_box);
+        }
+        fresh_heroBoxPositioning(fresh_hero);
+    });
+}
+
+var freshSetXY = (container) => {
+    const state = {
+        observed: new WeakSet(),
+        pending: new Set(),
+        frame: null
+    };
+    //batch observer callbacks into one layout pass per frame
+    const schedule = (heroes) => {
+        heroes.forEach(fresh_hero => state.pending.add(fresh_hero));
+        if (state.frame) return;
+        state.frame = requestAnimationFrame(() => {
+            state.frame = null;
+            state.pending.forEach(fresh_hero => fresh_hero.isConnected && fresh_heroBoxPositioning(fresh_hero));
+            state.pending.clear();
+        });
+    };
+    if ('ResizeObserver' in window) {
+        state.observer = new ResizeObserver(entries => {
+            schedule(entries.map(entry => entry.target.closest('.fresh-hero')).filter(Boolean));
+        });
+    }
+    //slides added after Slick initialized (clones, responsive re-inits)
+    state.mutationObserver = new MutationObserver(() => freshPositionHeroes(container, state));
+    state.mutationObserver.observe(container, { childList: true, subtree: true });
+    //Slick only reports through jQuery events
+    if ($0) {
+        $0(container).on('init.freshHero reInit.freshHero breakpoint.freshHero afterChange.freshHero', '.fresh-slides', () => {
+            freshPositionHeroes(container, state);
+        });
+    }
+
+    freshPositionHeroes(container, state);
+    return state;
+};
+
+function freshDestroyHero(container, state) {
+    if ($0) $0(container).off('.freshHero');
+    state.mutationObserver.disconnect();
+    if (state.observer) state.observer.disconnect();
+    if (state.frame) cancelAnimationFrame(state.frame);
+}
+
+
+/********************************************************************************************
+ * Title: Carousel Initialization
+ *
+ * Description:
+ * Initializes a carousel from its 'data-slick' settings through a pluggable backend, so sections
+ * can move off jQuery Slick one at a time while keeping the same settings contract.
+ * - 'slick': jQuery Slick, the default whenever the Slick plugin is loaded.
+ * - 'native': a dependency-free CSS scroll-snap carousel supporting slidesToShow, slidesToScroll,
+ *   arrows, dots, infinite, autoplay (autoplaySpeed, pauseOnHover, pauseOnFocus), responsive
+ *   breakpoints (including mobileFirst) and 'unslick'.
+ * A carousel picks its backend with data-carousel-backend="native|slick", a store can change the
+ * default through the store config: features.carousel.backend.
+ * Invalid 'data-slick' JSON is reported for that element only and the rest of the page carries on.
+ * As long as slides to show has not been turned off (data-slidesToShowMd/Sm of 0), the carousel is set,
+ * and it is torn down again at a breakpoint that turns it off.
+ * Both backends dispatch a 'fresh:carousel:change' event ({ index, backend, autoplay }) on the carousel.
+ *
+ * Example usage in a Shopify section:
+ *
+ * <ul class="fresh-slides" data-carousel-backend="native"
+ *     data-slick='{"slidesToShow":3,"dots":true,"responsive":[{"breakpoint":768,"settings":{"slidesToShow":1}}]}'>
+ *    <li>...</li>
+ * </ul>
+ *
+ * @author Ahmed Ezzaouia
+ ********************************************************************************************/ 
+const freshCarouselBackends = {};
+
+/**
+ * Reads the 'data-slick' settings of an element, reporting invalid JSON.
+ *
+ * @param {Element} element - The carousel element.
+ * @returns {Object|null} The settings, null if missing or invalid.
+ */
+function freshParseSlickSettings(element) {
+    var slickData = element.getAttribute('data-slick');
+    if (!slickData) return null;
+    try {
+        return JSON.parse(slickData.replace(/&quot;/g, '"'));
+    } catch (error) {
+        freshLog.error('invalid data-slick JSON, carousel skipped', element, error);
+        return null;
+    }
+}
+
+/**
+ * Resolves the settings that apply at a viewport width the way Slick does: the matching
+ * 'responsive' entry is merged over the base settings, or replaces them when it is 'unslick'.
+ *
+ * @param {Object} settings - The full 'data-slick' settings.
+ * @param {Number} width - The viewport width.
+ * @returns {Object|String} The active settings, or 'unslick'.
+ */
+function freshResolveSlickSettings(settings, width) {
+    const { responsive = [], ...base } = settings,
+          breakpoints = responsive.slice().sort((a, b) => a.breakpoint - b.breakpoint),
+          match = settings.mobileFirst
+              ? breakpoints.filter(entry => width >= entry.breakpoint).pop()
+              : breakpoints.find(entry => width < entry.breakpoint);
+    if (!match) return base;
+    return match.settings === 'unslick' ? 'unslick' : Object.assign({}, base, match.settings);
+}
+
+function freshCarouselBackend(element) {
+    const requested = element.getAttribute('data-carousel-backend') || freshFeatureOptions('carousel').backend,
+          hasSlick = !!($0 && $0.fn && $0.fn.slick);
+    if (requested === 'native' || !hasSlick) return freshCarouselBackends.native;
+    return freshCarouselBackends.slick;
+}
+
+function fresh_slickInit(element) {
+    const state = { backend: null, settings: freshParseSlickSettings(element) };
+    fresh_slickRefresh(element, state);
+    return state;
+}
+
+function fresh_slickRefresh(element, state) {
+    if (!state.settings || element.classList.contains('fresh-is-animated')) return;
+
+    let slidesToShow = element.getAttribute(Fresh.breakpoints.is('md') ? 'data-slidesToShowMd' : 'data-slidesToShowSm');
+    //as long as slides to show has not been turned off (0), set the carousel, tear it down when it was
+    if (slidesToShow !== null && Number(slidesToShow) == 0) {
+        if (state.backend) state.backend.destroy(element, state);
+        state.backend = null;
+        return;
+    }
+
+    if (state.backend) {
+        state.backend.refresh(element, state);
+    } else {
+        state.backend = freshCarouselBackend(element);
+        state.backend.init(element, state);
+    }
+}
+
+function freshDestroyCarousel(element, state) {
+    if (state.backend) state.backend.destroy(element, state);
+}
+
+/**
+ * Announces a slide change, and reports it unless autoplay made it.
+ *
+ * @param {Element} element - The carousel.
+ * @param {Number} index - The new current slide.
+ * @param {String} backend - 'slick' or 'native'.
+ * @param {Boolean} [autoplay] - Whether autoplay rather than the visitor changed the slide.
+ */
+function freshCarouselChange(element, index, backend, autoplay = false) {
+    element.dispatchEvent(new CustomEvent('fresh:carousel:change', { bubbles: true, detail: { index, backend, autoplay } }));
+    if (!autoplay) freshTrack('carousel_slide_view', { carousel_id: element.id || null, slide_index: index, backend }, element);
+}
+
+/**
+ * jQuery Slick backend.
+ */
+freshCarouselBackends.slick = {
+    name: 'slick',
+    init(element, state) {
+        const $element = $0(element);
+        //Slick doesn't say what moved it: a change that starts while the visitor clicks, swipes or
+        //presses a key is theirs, one that starts from a timer is autoplay
+        state.onInteract = () => {
+            state.interacting = true;
+            setTimeout(() => state.interacting = false);
+        };
+        ['click', 'keydown', 'mouseup', 'touchend'].forEach(type => element.addEventListener(type, state.onInteract, true));
+        $element.on('init.freshCarousel reInit.freshCarousel', event => {
+            if (event.target === element) freshCheckSlickAriaAttributes(element);
+        });
+        $element.on('beforeChange.freshCarousel', event => {
+            if (event.target === element) state.autoplayChange = !state.interacting;
+        });
+        $element.on('afterChange.freshCarousel', (event, slick, index) => {
+            if (event.target === element) freshCarouselChange(element, index, 'slick', state.autoplayChange);
+        });
+        if (!$element.hasClass('slick-initialized')) $element.slick(state.settings);
+    },
+    //Slick doesn't re-init itself after a responsive 'unslick', so retry on resize
+    refresh(element, state) {
+        if (!element.classList.contains('slick-initialized')) $0(element).slick(state.settings);
+    },
+    destroy(element, state) {
+        ['click', 'keydown', 'mouseup', 'touchend'].forEach(type => element.removeEventListener(type, state.onInteract, true));
+        $0(element).off('.freshCarousel');
+        if (element.classList.contains('slick-initialized')) $0(element).slick('unslick');
+    }
+};
+
+/**
+ * Native CSS scroll-snap backend.
+ */
+let freshCarouselCount = 0;
+
+freshCarouselBackends.native = {
+    name: 'native',
+    init(element, state) {
+        element.id = element.id || 'FreshCarousel-' + (++freshCarouselCount);
+        Object.assign(state, {
+            active: null,
+            index: 0,
+            autoplayTo: null,
+            timer: null,
+            paused: new Set(),
+            controls: null,
+            onScroll: () => {
+                if (state.frame) return;
+                state.frame = requestAnimationFrame(() => {
+                    state.frame = null;
+                    freshNativeCarouselSync(element, state);
+                });
+            },
+            onPause: event => {
+                const reason = event.type === 'focusin' ? 'focus' : 'hover';
+                if (state.active && state.active[reason === 'focus' ? 'pauseOnFocus' : 'pauseOnHover'] === false) return;
+                state.paused.add(reason);
+            },
+            onResume: event => {
+                if (event.type === 'focusout' && state.controls && (element.contains(event.relatedTarget) || state.controls.contains(event.relatedTarget))) return;
+                state.paused.delete(event.type === 'focusout' ? 'focus' : 'hover');
+            }
+        });
+        freshCarouselBackends.native.refresh(element, state);
+    },
+    refresh(element, state) {
+        const active = freshResolveSlickSettings(state.settings, window.innerWidth);
+        if (active === 'unslick') {
+            freshNativeCarouselTeardown(element, state);
+            return;
+        }
+        const settingsKey = JSON.stringify(active);
+        if (state.active && settingsKey === state.settingsKey) return;
+        state.settingsKey = settingsKey;
+        if (!state.active) freshNativeCarouselSetup(element, state);
+        state.active = Object.assign({
+            slidesToShow: 1,
+            slidesToScroll: 1,
+            arrows: true,
+            dots: false,
+            infinite: true,
+            autoplay: false,
+            autoplaySpeed: 3000
+        }, active);
+        element.style.setProperty('--fresh-slides-to-show', state.active.slidesToShow);
+        freshNativeCarouselControls(element, state);
+        freshNativeCarouselSync(element, state);
+
+        clearInterval(state.timer);
+        state.timer = null;
+        if (state.active.autoplay) {
+            state.timer = setInterval(() => {
+                if (!state.paused.size) freshNativeCarouselStep(element, state, 1, true);
+            }, state.active.autoplaySpeed);
+        }
+    },
+    destroy(element, state) {
+        freshNativeCarouselTeardown(element, state);
+    }
+};
+
+function freshNativeCarouselSetup(element, state) {
+    element.classList.add('fresh-carousel--native');
+    element.setAttribute('role', 'region');
+    element.setAttribute('aria-roledescription', 'carousel');
+    Array.from(element.children).forEach((slide, index, slides) => {
+        slide.setAttribute('role', 'group');
+        slide.setAttribute('aria-roledescription', 'slide');
+        slide.setAttribute('aria-label', `${index + 1} of ${slides.length}`);
+    });
+    state.controls = document.createElement('div');
+    state.controls.className = 'fresh-carousel__controls';
+    element.after(state.controls);
+
+    element.addEventListener('scroll', state.onScroll, { passive: true });
+    [element, state.controls].forEach(target => {
+        target.addEventListener('mouseenter', state.onPause);
+        target.addEventListener('mouseleave', state.onResume);
+        target.addEventListener('focusin', state.onPause);
+        target.addEventListener('focusout', state.onResume);
+    });
+}
+
+function freshNativeCarouselTeardown(element, state) {
+    if (!state.active) return;
+    clearInterval(state.timer);
+    cancelAnimationFrame(state.frame);
+    state.timer = state.frame = state.active = state.settingsKey = state.autoplayTo = null;
+    state.paused.clear();
+    element.removeEventListener('scroll', state.onScroll);
+    [element, state.controls].forEach(target => {
+        target.removeEventListener('mouseenter', state.onPause);
+        target.removeEventListener('mouseleave', state.onResume);
+        target.removeEventListener('focusin', state.onPause);
+        target.removeEventListener('focusout', state.onResume);
+    });
+    state.controls.remove();
+    state.controls = null;
+    element.classList.remove('fresh-carousel--native');
+    element.style.removeProperty('--fresh-slides-to-show');
+    ['role', 'aria-roledescription'].forEach(attribute => element.removeAttribute(attribute));
+    Array.from(element.children).forEach(slide => {
+        ['role', 'aria-roledescription', 'aria-label', 'aria-hidden', 'inert'].forEach(attribute => slide.removeAttribute(attribute));
+    });
+}
+
+/**
+ * Builds the arrows and dots for the active settings.
+ */
+function freshNativeCarouselControls(element, state) {
+    const { active, controls } = state,
+          count = element.children.length,
+          pages = Math.max(1, Math.ceil((count - active.slidesToShow) / active.slidesToScroll) + 1);
+    controls.innerHTML = '';
+    controls.hidden = count <= active.slidesToShow;
+
+    const button = (className, label, onClick) => {
+        const control = document.createElement('button');
+        control.type = 'button';
+        control.className = className;
+        control.setAttribute('aria-label', label);
+        control.setAttribute('aria-controls', element.id);
+        control.addEventListener('click', onClick);
+        return control;
+    };
+    if (active.arrows) {
+        controls.append(button('fresh-carousel__arrow fresh-carousel__arrow--prev', 'Previous slide', () => freshNativeCarouselStep(element, state, -1)));
+    }
+    if (active.dots) {
+        const dots = document.createElement('div');
+        dots.className = 'fresh-carousel__dots';
+        for (let page = 0; page < pages; page++) {
+            const index = Math.min(page * active.slidesToScroll, count - active.slidesToShow);
+            dots.append(button('fresh-carousel__dot', `Go to slide ${index + 1}`, () => freshNativeCarouselGoTo(element, state, index)));
+        }
+        controls.append(dots);
+    }
+    if (active.arrows) {
+        controls.append(button('fresh-carousel__arrow fresh-carousel__arrow--next', 'Next slide', () => freshNativeCarouselStep(element, state, 1)));
+    }
+}
+
+function freshNativeCarouselGoTo(element, state, index, autoplay = false) {
+    const slides = element.children;
+    if (!slides.length) return;
+    index = Math.max(0, Math.min(index, slides.length - 1));
+    //the slides a smooth scroll passes on the way there are autoplay's too
+    state.autoplayTo = autoplay ? index : null;
+    element.scrollTo({
+        left: slides[index].offsetLeft - slides[0].offsetLeft,
+        behavior: freshReducedMotion.matches ? 'auto' : 'smooth'
+    });
+}
+
+function freshNativeCarouselStep(element, state, direction, autoplay = false) {
+    const { active } = state,
+          last = Math.max(0, element.children.length - active.slidesToShow);
+    let index = state.index + direction * active.slidesToScroll;
+    if (index > last) index = active.infinite && state.index >= last ? 0 : last;
+    if (index < 0) index = active.infinite && state.index <= 0 ? last : 0;
+    freshNativeCarouselGoTo(element, state, index, autoplay);
+}
+
+/**
+ * Works out the current slide from the scroll position and updates the controls.
+ */
+function freshNativeCarouselSync(element, state) {
+    if (!state.active) return;
+    const slides = element.children,
+          slideWidth = slides.length > 1 ? slides[1].offsetLeft - slides[0].offsetLeft : element.clientWidth,
+          last = Math.max(0, slides.length - state.active.slidesToShow),
+          atEnd = element.scrollLeft + element.clientWidth >= element.scrollWidth - 1,
+          index = atEnd && element.scrollLeft > 0 ? last : Math.min(last, slideWidth > 0 ? Math.round(element.scrollLeft / slideWidth) : 0);
+
+    Array.from(slides).forEach((slide, slideIndex) => {
+        const visible = slideIndex >= index && slideIndex < index + state.active.slidesToShow;
+        slide.toggleAttribute('inert', !visible);
+        slide.setAttribute('aria-hidden', !visible);
+    });
+    const prev = state.controls.querySelector('.fresh-carousel__arrow--prev'),
+          next = state.controls.querySelector('.fresh-carousel__arrow--next');
+    if (prev) prev.disabled = !state.active.infinite && index <= 0;
+    if (next) next.disabled = !state.active.infinite && index >= last;
+    state.controls.querySelectorAll('.fresh-carousel__dot').forEach((dot, page, dots) => {
+        const current = page === dots.length - 1 ? index >= last : Math.floor(index / state.active.slidesToScroll) === page;
+        dot.setAttribute('aria-current', current);
+    });
+
+    if (index !== state.index) {
+        const autoplay = state.autoplayTo !== null;
+        if (index === state.autoplayTo) state.autoplayTo = null;
+        state.index = index;
+        freshCarouselChange(element, index, 'native', autoplay);
+    }
+}
+
+
+/********************************************************************************************
+ * Title: Responsive Image Manager
+ *
+ * Description:
+ * The one place images get loaded, replacing the page-wide LazyLoad instance.
+ * - Shopify CDN images get a srcset built from the base URL and the 'width' parameter:
+ *     <img data-fresh-src="{{ image | image_url }}" data-fresh-max-width="{{ image.width }}" alt="..." width="..." height="...">
+ *   data-fresh-widths="360,720,1080" overrides the default widths, data-fresh-sizes (or sizes)
+ *   the sizes, which default to 'auto': the rendered width, kept up to date as it changes.
+ * - Shows a blurred low-res copy (width=32, or the data-fresh-placeholder URL) until the full
+ *   image has loaded and decoded. data-fresh-placeholder="false" turns it off.
+ * - Uses native loading="lazy" where it is safe. Inside marquees and carousels, whose slides and
+ *   clones are moved with transforms (where iOS Safari never starts native lazy loads), images
+ *   load once the marquee / carousel gets near the viewport instead.
+ * - Falls back to an IntersectionObserver, then to the LazyLoad library, then to loading
+ *   right away. loading="eager" or fetchpriority="high" images load right away.
+ * - Legacy LazyLoad markup (img[data-src], data-srcset) is picked up as is, and images added
+ *   later (section reloads, marquee and Slick clones, AJAX content) are handled automatically.
+ * Other '.lazy' elements (e.g. background images) are still left to the LazyLoad library.
+ *
+ * @author Alexander Khost
+ ********************************************************************************************/
+const   freshImageWidths = [180, 360, 540, 720, 900, 1080, 1296, 1512, 1728, 2048],
+        freshImageSelector = 'img[data-fresh-src], img[data-src]',
+        freshImageContexts = '.fresh_infinit-scoller, .fresh-slides, .slick-slider',
+        freshImages = new WeakMap(),
+        freshImageTargets = new Map();
+
+let     freshImageObserver = null,
+        freshImageResizeObserver = null;
+
+/**
+ * A Shopify CDN image URL at a width, without legacy size suffixes that would win over it.
+ *
+ * @param {String} src - The image URL.
+ * @param {Number} width - The width in pixels.
+ * @returns {String|null} The URL, null when src isn't a Shopify CDN image.
+ */
+function freshShopifyImageURL(src, width) {
+    let url;
+    try {
+        url = new URL(src, document.baseURI);
+    } catch (error) {
+        return null;
+    }
+    if (!/\/cdn\/shop\/|cdn\.shopify\.com/.test(url.href)) return null;
+
+    url.pathname = url.pathname.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|\d+x\d*|x\d+)(?=\.\w+$)/, '');
+    url.searchParams.set('width', width);
+    return src.startsWith('//') ? url.href.replace(/^https?:/, '') : url.href;
+}
+
+function freshImageSrcset(img, src) {
+    if (img.hasAttribute('data-srcset')) return img.getAttribute('data-srcset');
+    if (!freshShopifyImageURL(src, 1)) return null;
+
+    const max = Number(img.getAttribute('data-fresh-max-width')) || Infinity,
+          widths = (img.getAttribute('data-fresh-widths') || freshImageWidths.join(','))
+              .split(',').map(Number).filter(width => width > 0 && width <= max);
+    if (!widths.length) widths.push(max);
+    return widths.map(width => `${freshShopifyImageURL(src, width)} ${width}w`).join(', ');
+}
+
+function freshImageStrategy(img) {
+    if (img.getAttribute('loading') === 'eager' || img.getAttribute('fetchpriority') === 'high') return 'eager';
+    if (img.closest(freshImageContexts)) return 'IntersectionObserver' in window ? 'context' : 'eager';
+    if ('loading' in HTMLImageElement.prototype) return 'native';
+    if ('IntersectionObserver' in window) return 'observe';
+    return typeof window.LazyLoad === 'function' ? 'lazyload' : 'eager';
+}
+
+/**
+ * The LazyLoad library instance, created the first time something needs it.
+ */
+function freshLazyLoadFallback() {
+    if (!Fresh.lazyLoad && typeof window.LazyLoad === 'function') {
+        Fresh.lazyLoad = new window.LazyLoad({
+            elements_selector: '.lazy',
+            callback_loaded: element => freshImages.has(element) && freshImageLoaded(element)
+        });
+    }
+    if (Fresh.lazyLoad) Fresh.lazyLoad.update();
+    return Fresh.lazyLoad;
+}
+
+function freshInitImage(img) {
+    if (freshImages.has(img)) return;
+    //a copy of an image that already loaded (marquee / Slick clone) only needs to load right away
+    if (img.getAttribute('data-fresh-image') === 'loaded') {
+        if (img.closest(freshImageContexts)) img.loading = 'eager';
+        return;
+    }
+
+    const src = img.getAttribute('data-fresh-src') || img.getAttribute('data-src'),
+          sizes = img.getAttribute('data-fresh-sizes') || img.getAttribute('data-sizes') || img.getAttribute('sizes') || 'auto',
+          placeholder = img.getAttribute('data-fresh-placeholder');
+    if (!src) return;
+
+    const state = {
+        src: img.hasAttribute('data-fresh-src') ? freshShopifyImageURL(src, Math.min(1080, Number(img.getAttribute('data-fresh-max-width')) || 1080)) || src : src,
+        srcset: freshImageSrcset(img, src),
+        autoSizes: sizes === 'auto',
+        placeholder: placeholder === 'false' ? null : placeholder || freshShopifyImageURL(src, 32),
+        strategy: freshImageStrategy(img)
+    };
+    freshImages.set(img, state);
+    img.setAttribute('data-fresh-image', 'pending');
+    img.classList.remove('lazy');
+
+    if (state.placeholder) {
+        img.classList.add('fresh-image--placeholder');
+        img.style.backgroundImage = `url("${state.placeholder}")`;
+    }
+    //the ResizeObserver narrows 'auto' down to the rendered width before anything lazy starts loading
+    img.sizes = state.autoSizes ? '100vw' : sizes;
+    if (state.autoSizes && 'ResizeObserver' in window) {
+        freshImageResizeObserver = freshImageResizeObserver || new ResizeObserver(entries => {
+            entries.forEach(entry => {
+                const width = Math.ceil(entry.contentRect.width);
+                if (width > 0) entry.target.sizes = width + 'px';
+            });
+        });
+        freshImageResizeObserver.observe(img);
+    }
+
+    switch (state.strategy) {
+        case 'native':
+            img.loading = 'lazy';
+            freshLoadImage(img);
+            break;
+        case 'context':
+        case 'observe': {
+            const target = state.strategy === 'context' ? img.closest(freshImageContexts) : img;
+            if (!freshImageTargets.has(target)) {
+                freshImageTargets.set(target, new Set());
+                freshImageObserver.observe(target);
+            }
+            freshImageTargets.get(target).add(img);
+            break;
+        }
+        case 'lazyload':
+            if (state.srcset) img.setAttribute('data-srcset', state.srcset);
+            img.setAttribute('data-src', state.src);
+            img.classList.add('lazy');
+            freshLazyLoadFallback();
+            break;
+        default:
+            img.loading = 'eager';
+            freshLoadImage(img);
+    }
+}
+
+/**
+ * Starts loading the full image.
+ *
+ * @param {HTMLImageElement} img - A managed image.
+ */
+function freshLoadImage(img) {
+    const state = freshImages.get(img);
+    if (!state || state.loading) return;
+    state.loading = true;
+    if (state.strategy === 'context') img.loading = 'eager';
+
+    state.onLoad = () => freshImageLoaded(img);
+    img.addEventListener('load', state.onLoad);
+    if (state.srcset) img.srcset = state.srcset;
+    img.src = state.src;
+    if (img.complete && img.naturalWidth) freshImageLoaded(img);
+}
+
+function freshImageLoaded(img) {
+    const state = freshImages.get(img);
+    if (!state || state.loaded) return;
+    state.loaded = true;
+    img.removeEventListener('load', state.onLoad);
+    //keep the placeholder up until the image can be painted in one go
+    (img.decode ? img.decode() : Promise.resolve()).catch(() => {}).then(() => {
+        img.setAttribute('data-fresh-image', 'loaded');
+        img.classList.remove('fresh-image--placeholder');
+        img.style.backgroundImage = '';
+    });
+}
+
+function freshForgetImage(img) {
+    const state = freshImages.get(img);
+    if (!state) return;
+    if (freshImageResizeObserver) freshImageResizeObserver.unobserve(img);
+    if (state.onLoad) img.removeEventListener('load', state.onLoad);
+    freshImageTargets.forEach((images, target) => {
+        images.delete(img);
+        if (images.size) return;
+        freshImageTargets.delete(target);
+        freshImageObserver.unobserve(target);
+    });
+    freshImages.delete(img);
+}
+
+function freshImagesWithin(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return [];
+    const images = Array.from(node.querySelectorAll(freshImageSelector));
+    if (node.matches(freshImageSelector)) images.unshift(node);
+    return images;
+}
+
+function freshInitImages() {
+    const state = {};
+    if ('IntersectionObserver' in window) {
+        freshImageObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                const images = freshImageTargets.get(entry.target) || [];
+                freshImageTargets.delete(entry.target);
+                freshImageObserver.unobserve(entry.target);
+                images.forEach(freshLoadImage);
+            });
+        }, { rootMargin: '300px' });
+    }
+
+    document.querySelectorAll(freshImageSelector).forEach(freshInitImage);
+    if (document.querySelector('.lazy')) freshLazyLoadFallback();
+
+    state.observer = new MutationObserver(mutations => {
+        let lazy = false;
+        mutations.forEach(mutation => {
+            mutation.removedNodes.forEach(node => {
+                if (!node.isConnected) freshImagesWithin(node).forEach(freshForgetImage);
+            });
+            mutation.addedNodes.forEach(node => {
+                freshImagesWithin(node).forEach(freshInitImage);
+                lazy = lazy || (node.nodeType === Node.ELEMENT_NODE && (node.matches('.lazy') || !!node.querySelector('.lazy')));
+            });
+        });
+        if (lazy) freshLazyLoadFallback();
+    });
+    state.observer.observe(document.documentElement, { childList: true, subtree: true });
+    return state;
+}
+
+function freshDestroyImages(html, state) {
+    state.observer.disconnect();
+    if (freshImageObserver) freshImageObserver.disconnect();
+    if (freshImageResizeObserver) freshImageResizeObserver.disconnect();
+    freshImageObserver = freshImageResizeObserver = null;
+    freshImageTargets.clear();
+}
+
+Fresh.images = {
+    url: freshShopifyImageURL,
+    load: freshLoadImage
+};
+
+
+/********************************************************************************************
+ * Title: Responsive Video Manager
+ *
+ * Description:
+ * Loads a single source set per breakpoint, only once the video gets near the viewport.
+ * - Sources come from a breakpoint map in 'data-video-sources' (keys are breakpoint names or
+ *   minimum widths that match one, values a URL or a list of { src, type }), so only one set
+ *   ever ships to the browser:
+ *     data-video-sources='{"sm":"{{ mobile_url }}","md":[{"src":"{{ desktop_url }}","type":"video/mp4"}]}'
+ * - Legacy '.fresh_video_desktop' (md and up) / '.fresh_video_mobile' (below md) pairs keep their
+ *   own <source> tags, the inactive one is paused and never re-loaded.
+ * - Only reloads when the breakpoint actually changes (the component's 'breakpoint' hook).
+ * - Autoplay is handled here: videos play while on-screen and pause off-screen. They don't
+ *   autoplay (and get controls) when the user prefers reduced motion or has save-data on,
+ *   with save-data nothing is downloaded until the video is played.
+ * - Posters on the Shopify CDN are requested at the rendered size through the 'width='
+ *   parameter, replacing the old _small / _medium stripping.
+ *
+ * @param {HTMLVideoElement} video - A '.fresh_video', '.fresh_video_desktop' or '.fresh_video_mobile' element.
+ *
+ * @author Ahmed Ezzaouia
+ ********************************************************************************************/
+const freshSaveData = !!(navigator.connection && navigator.connection.saveData);
+
+function freshVideoSources(video) {
+    const sources = video.getAttribute('data-video-sources');
+    if (!sources) return null;
+    try {
+        return JSON.parse(sources.replace(/&quot;/g, '"'));
+    } catch (error) {
+        freshLog.error('invalid data-video-sources JSON', video, error);
+        return null;
+    }
+}
+
+/**
+ * Which source set applies right now: a breakpoint key, or true/false for legacy pairs.
+ */
+function freshVideoBreakpoint(video, state) {
+    if (state.sources) return freshBreakpointKey(state.sources);
+    if (video.classList.contains('fresh_video_mobile')) return !Fresh.breakpoints.is('md');
+    if (video.classList.contains('fresh_video_desktop')) return Fresh.breakpoints.is('md');
+    return true;
+}
+
+/**
+ * Requests Shopify CDN posters at the rendered width.
+ */
+function freshConvertVideoPosterImages(item) {
+    const poster = item.getAttribute('poster');
+    if (!poster) return;
+
+    const width = Math.min(3840, Math.ceil((item.clientWidth || window.innerWidth) * (window.devicePixelRatio || 1) / 100) * 100),
+          current = /[?&]width=(\d+)/.exec(poster);
+    if (current && Number(current[1]) >= width) return;
+    const url = freshShopifyImageURL(poster, width);
+    if (url) item.setAttribute('poster', url);
+}
+
+function freshInitVideo(video) {
+    const state = {
+        sources: freshVideoSources(video),
+        autoplay: video.autoplay && !freshSaveData,
+        loaded: undefined,
+        near: false,
+        visible: false
+    };
+    if (!video.getAttribute('poster')) freshLog.warn('video without a poster, it stays blank until it has loaded', video);
+    //we decide when to play from here on
+    video.autoplay = false;
+    if (freshSaveData) video.preload = 'none';
+    if (freshReducedMotion.matches || freshSaveData) video.controls = true;
+    freshConvertVideoPosterImages(video);
+
+    state.onMotionChange = () => freshPlayVideo(video, state);
+    freshReducedMotion.addEventListener('change', state.onMotionChange);
+
+    //each milestone once per video, looping background videos would repeat them otherwise
+    state.progress = new Set();
+    state.onTimeUpdate = () => freshVideoProgress(video, state);
+    video.addEventListener('timeupdate', state.onTimeUpdate);
+
+    if ('IntersectionObserver' in window) {
+        state.nearObserver = new IntersectionObserver(entries => {
+            if (!entries[entries.length - 1].isIntersecting) return;
+            state.near = true;
+            state.nearObserver.disconnect();
+            fresh_handleVideoLoad(video, state);
+        }, { rootMargin: '200px 0px' });
+        state.nearObserver.observe(video);
+
+        state.visibleObserver = new IntersectionObserver(entries => {
+            state.visible = entries[entries.length - 1].isIntersecting;
+            freshPlayVideo(video, state);
+        });
+        state.visibleObserver.observe(video);
+    } else {
+        state.near = state.visible = true;
+        fresh_handleVideoLoad(video, state);
+    }
+    return state;
+}
+
+/**
+ * Loads the source set for the current breakpoint if it changed since the last load.
+ */
+const fresh_handleVideoLoad = (video, state) => {
+  if (!state.near) return;
+  const breakpoint = freshVideoBreakpoint(video, state);
+  if (breakpoint === state.loaded) return;
+  state.loaded = breakpoint;
+
+  if (state.sources) {
+    let sources = state.sources[breakpoint] || [];
+    if (!Array.isArray(sources)) sources = [sources];
+    video.querySelectorAll('source').forEach(source => source.remove());
+    sources.forEach(source => {
+      const element = document.createElement('source');
+      element.src = typeof source === 'string' ? source : source.src;
+      if (source.type) element.type = source.type;
+      video.appendChild(element);
+    });
+    video.load();
+  } else if (breakpoint === true) {
+    video.load();
+  }
+  freshPlayVideo(video, state);
+};
+
+function freshPlayVideo(video, state) {
+  const active = state.sources ? !!video.querySelector('source') : freshVideoBreakpoint(video, state) === true,
+        play = state.autoplay && state.visible && active && !freshReducedMotion.matches;
+  video.controls = video.controls || freshReducedMotion.matches;
+  if (play && video.paused) {
+    video.muted = true;
+    video.play().catch(() => {});
+  } else if (!play && !video.paused && (state.autoplay || !state.visible || !active)) {
+    video.pause();
+  }
+}
+
+function freshVideoProgress(video, state) {
+  if (!video.duration || !isFinite(video.duration)) return;
+  const percent = video.currentTime / video.duration * 100;
+  [25, 50, 75].forEach(milestone => {
+    if (percent < milestone || state.progress.has(milestone)) return;
+    state.progress.add(milestone);
+    freshTrack('video_progress', { video_id: video.id || null, video_src: video.currentSrc, percent: milestone }, video);
+  });
+}
+
+function freshDestroyVideo(video, state) {
+  if (state.nearObserver) state.nearObserver.disconnect();
+  if (state.visibleObserver) state.visibleObserver.disconnect();
+  freshReducedMotion.removeEventListener('change', state.onMotionChange);
+  video.removeEventListener('timeupdate', state.onTimeUpdate);
+}
+
+
+/********************************************************************************************
+ * Title: Infinite Scroll Marquee
+ *
+ * Description:
+ * Turns the list inside a '.fresh_infinit-scoller' into a requestAnimationFrame driven marquee.
+ * The original list stays hidden and a duplicated list ('.fresh-duplicated-list') is shown in
+ * its place, which is also the list Slick picks up when the scroller is a carousel instead.
+ * - Only clones as many copies of the slides as are needed to fill the scroller, and only
+ *   re-measures when the scroller's width or the breakpoint changes instead of rebuilding the list.
+ * - Moves while data-animation-speedMd / data-animation-speedSm is above 0, 0 turns the motion
+ *   off for that breakpoint (as does an active Slick carousel for that breakpoint). As with the
+ *   old CSS loop the value is only a switch: the marquee keeps that loop's pace, half of a track
+ *   eleven scrollers long every --_animation-duration (10s by default).
+ * - data-marquee-direction on the scroller or list sets the direction: 'left' (default),
+ *   'right', 'up' / 'vertical' or 'down'.
+ * - Pauses while hovered or focused, while off-screen, and through an injected pause button
+ *   (labelled by data-marquee-pause-label, 'Pause animation' by default).
+ * - Starts paused when the user prefers reduced motion.
+ *
+ * Usage:
+ * To enable infinite scroll on an element, add the class (fresh_infinit-scoller) to the parent of the list.
+ * 
+ * Example usage in a Shopify section:
+ * 
+ * <div class="fresh_infinit-scoller" data-marquee-direction="right">
+ *    <ul data-animation-speedMd="{{ section.settings.fresh_scroll_speed--md }}"
+ *        data-animation-speedSm="{{ section.settings.fresh_scroll_speed--sm }}"
+ *    </ul>
+ * </div>
+ *
+ * @Author Ahmed Ezzaouia
+ ********************************************************************************************/
+function fresh_infinite_scroll(scroller){
+    const list = scroller.querySelector('ul:not(.fresh-duplicated-list)');
+    if (!list) return;
+
+    const track = list.cloneNode(true);
+    track.classList.add('fresh-duplicated-list');
+    track.classList.remove('fresh-is-animated');
+    track.removeAttribute('id');
+    list.classList.add('fresh-is-animated');
+    scroller.appendChild(track);
+
+    const direction = scroller.getAttribute('data-marquee-direction') || list.getAttribute('data-marquee-direction') || 'left',
+          toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'fresh-marquee__toggle';
+    toggle.setAttribute('aria-label', scroller.getAttribute('data-marquee-pause-label') || 'Pause animation');
+    toggle.hidden = true;
+    scroller.appendChild(toggle);
+
+    const state = {
+        list,
+        track,
+        toggle,
+        vertical: ['up', 'down', 'vertical'].includes(direction),
+        sign: ['right', 'down'].includes(direction) ? -1 : 1,
+        position: 0,
+        span: 0,
+        speed: 0,
+        velocity: 0,
+        frame: null,
+        last: null,
+        paused: new Set(freshReducedMotion.matches ? ['user'] : []),
+        onPause: event => {
+            state.paused.add(event.type === 'focusin' ? 'focus' : 'hover');
+            freshUpdateMarquee(state);
+        },
+        onResume: event => {
+            if (event.type === 'focusout' && scroller.contains(event.relatedTarget)) return;
+            state.paused.delete(event.type === 'focusout' ? 'focus' : 'hover');
+            freshUpdateMarquee(state);
+        },
+        onToggle: () => {
+            state.paused.has('user') ? state.paused.delete('user') : state.paused.add('user');
+            freshUpdateMarquee(state);
+        },
+        onMotionChange: event => {
+            event.matches ? state.paused.add('user') : state.paused.delete('user');
+            freshUpdateMarquee(state);
+        }
+    };
+    scroller.classList.add('fresh-marquee');
+    scroller.classList.toggle('fresh-marquee--vertical', state.vertical);
+
+    scroller.addEventListener('mouseenter', state.onPause);
+    scroller.addEventListener('mouseleave', state.onResume);
+    scroller.addEventListener('focusin', state.onPause);
+    scroller.addEventListener('focusout', state.onResume);
+    toggle.addEventListener('click', state.onToggle);
+    freshReducedMotion.addEventListener('change', state.onMotionChange);
+    if ('IntersectionObserver' in window) {
+        state.observer = new IntersectionObserver(entries => {
+            entries[0].isIntersecting ? state.paused.delete('offscreen') : state.paused.add('offscreen');
+            freshUpdateMarquee(state);
+        });
+        state.observer.observe(scroller);
+    }
+    //a vertical scroller may grow with its content, only refill those on breakpoint changes
+    if ('ResizeObserver' in window && !state.vertical) {
+        state.width = scroller.offsetWidth;
+        state.resizeObserver = new ResizeObserver(() => {
+            if (scroller.offsetWidth === state.width) return;
+            state.width = scroller.offsetWidth;
+            fresh_fillInfiniteScroll(scroller, state);
+            freshUpdateMarquee(state);
+        });
+        state.resizeObserver.observe(scroller);
+    }
+
+    fresh_resizeInfiniteScroll(scroller, state);
+    return state;
+}
+
+/**
+ * Re-applies the slide sizing, speed and clones for the current breakpoint.
+ *
+ * @param {Element} scroller - The '.fresh_infinit-scoller' element.
+ * @param {Object} state - The marquee state returned by fresh_infinite_scroll().
+ */
+function fresh_resizeInfiniteScroll(scroller, state){
+    if (!state) return;
+    const { list, track } = state,
+          isMobile = !Fresh.breakpoints.is('md');
+
+    //if the slides to scroll is set to 0 (for desktop and/or mobile), set the slide width to equal the size the image has been set to / remove white space around slide images
+    let slidesToShow = list.getAttribute(isMobile ? 'data-slidesToShowSm' : 'data-slidesToShowMd');
+    let slidesMaxWidth = Number(list.getAttribute(isMobile ? 'data-slidesMaxWidthSm' : 'data-slidesMaxWidthMd'));
+    if (slidesToShow !== null && Number(slidesToShow) == 0) {
+        [...list.children, ...track.children].forEach(slide => {
+            //we're only supplying desktop slide images, and so, using md image on mobile for now --Alex 2024-03-20
+            let imageWidth = Number(slide.getAttribute('data-imageWidthMd'));
+            let image = slide.querySelector('img');
+            if (image !== null) {
+                slide.style.width = slidesMaxWidth * imageWidth + 'px';
+                image.style.maxWidth = '100%';
+            }
+        });
+    }
+
+    let speed = Number(list.getAttribute(isMobile ? 'data-animation-speedSm' : 'data-animation-speedMd')) || 0;
+    //a carousel that is active at this breakpoint takes over from the marquee
+    const fresh_slickSettings = speed > 0 && list.hasAttribute('data-slick') && freshParseSlickSettings(list);
+    if (fresh_slickSettings && freshResolveSlickSettings(fresh_slickSettings, window.innerWidth) !== 'unslick') speed = 0;
+    state.speed = speed;
+    fresh_fillInfiniteScroll(scroller, state);
+    freshUpdateMarquee(state);
+}
+
+/**
+ * Appends just enough hidden copies of the slides to the track to cover the scroller, and
+ * measures the distance one copy of the slides spans.
+ *
+ * @param {Element} scroller - The '.fresh_infinit-scoller' element.
+ * @param {Object} state - The marquee state.
+ */
+function fresh_fillInfiniteScroll(scroller, state){
+    const { list, track, vertical } = state,
+          count = list.children.length;
+    track.querySelectorAll(':scope > [data-marquee-clone]').forEach(clone => clone.remove());
+    state.span = 0;
+    state.velocity = 0;
+    state.position = 0;
+    track.style.transform = '';
+    if (state.speed > 0) track.setAttribute('data-infinite-scroll', true);
+    else track.removeAttribute('data-infinite-scroll');
+    state.toggle.hidden = !(state.speed > 0);
+    if (!(state.speed > 0) || !count) return;
+
+    const appendCopy = () => {
+        for (var i = 0; i < count; i++) {
+            var clonedChild = track.children[i].cloneNode(true);
+            clonedChild.setAttribute('aria-hidden', 'true');
+            clonedChild.setAttribute('data-marquee-clone', '');
+            clonedChild.inert = true;
+            track.appendChild(clonedChild);
+        }
+    };
+    appendCopy();
+    const first = track.children[0],
+          second = track.children[count];
+    state.span = vertical ? second.offsetTop - first.offsetTop : second.offsetLeft - first.offsetLeft;
+    //not laid out (hidden section or tab), try again on the next resize
+    if (state.span <= 0) return;
+
+    const size = vertical ? scroller.offsetHeight : scroller.offsetWidth,
+          copies = Math.ceil(size / state.span);
+    for (var copy = 1; copy < copies; copy++) appendCopy();
+    state.velocity = freshMarqueeVelocity(track, state.span, size);
+}
+
+/**
+ * The pixels per second of the old CSS loop, which cloned slides until the track was eleven
+ * scrollers long and moved it by half its length (plus the .5rem gap) per animation cycle.
+ *
+ * @param {Element} track - The duplicated list.
+ * @param {Number} span - The distance one copy of the slides spans.
+ * @param {Number} size - The scroller's width (height for vertical tickers).
+ * @returns {Number} The distance to move per second.
+ */
+function freshMarqueeVelocity(track, span, size){
+    const duration = getComputedStyle(track).getPropertyValue('--_animation-duration').trim(),
+          seconds = parseFloat(duration) / (/ms$/.test(duration) ? 1000 : 1) || 10,
+          length = span * (1 + Math.ceil(size * 11 / span));
+    return (length / 2 + 8) / seconds;
+}
+
+/**
+ * Starts or stops the animation frame loop depending on the pause state.
+ *
+ * @param {Object} state - The marquee state.
+ */
+function freshUpdateMarquee(state){
+    const running = state.speed > 0 && state.velocity > 0 && !state.paused.size,
+          userPaused = state.paused.has('user'),
+          scroller = state.list.parentNode;
+
+    state.toggle.setAttribute('aria-pressed', userPaused);
+    scroller.classList.toggle('fresh-marquee--paused', !running);
+
+    if (running && state.frame === null) {
+        state.last = null;
+        state.frame = requestAnimationFrame(time => freshMarqueeFrame(state, time));
+    } else if (!running && state.frame !== null) {
+        cancelAnimationFrame(state.frame);
+        state.frame = null;
+    }
+}
+
+function freshMarqueeFrame(state, time){
+    if (state.last !== null) {
+        //cap the step so the marquee doesn't jump after the tab was in the background
+        const elapsed = Math.min(time - state.last, 100) / 1000;
+        state.position = (state.position + state.sign * state.velocity * elapsed) % state.span;
+        if (state.position < 0) state.position += state.span;
+    }
+    state.last = time;
+    state.track.style.transform = state.vertical
+        ? `translate3d(0, ${-state.position}px, 0)`
+        : `translate3d(${-state.position}px, 0, 0)`;
+    state.frame = requestAnimationFrame(time => freshMarqueeFrame(state, time));
+}
+
+function fresh_destroyInfiniteScroll(scroller, state){
+    if (!state) return;
+    if (state.frame !== null) cancelAnimationFrame(state.frame);
+    if (state.observer) state.observer.disconnect();
+    if (state.resizeObserver) state.resizeObserver.disconnect();
+    scroller.removeEventListener('mouseenter', state.onPause);
+    scroller.removeEventListener('mouseleave', state.onResume);
+    scroller.removeEventListener('focusin', state.onPause);
+    scroller.removeEventListener('focusout', state.onResume);
+    freshReducedMotion.removeEventListener('change', state.onMotionChange);
+    state.track.remove();
+    state.toggle.remove();
+    state.list.classList.remove('fresh-is-animated');
+    scroller.classList.remove('fresh-marquee', 'fresh-marquee--vertical', 'fresh-marquee--paused');
+}
+
+
+/********************************************************************************************
+ * Title: Brag Bar Tabs
+ *
+ * Description:
+ * Turns the logo bar / brag bar into a tablist: the '.fresh-logobar' logos are tabs and the
+ * '.fresh_bragbar_text' texts their tabpanels. A brag bar is the closest '[data-fresh-bragbar]'
+ * element or the Shopify section, so several independent brag bars can live on one page.
+ * - Logos and texts are paired by data-block-id (falling back to the 'fresh-logobar--{id}' /
+ *   'fresh_bragbar_text--{id}' classes). Logos without a matching text are left out.
+ * - Arrow keys, Home and End move between logos, the focused logo is selected.
+ * - data-bragbar-autoplay="5000" rotates the selected logo every 5 seconds, paused while the
+ *   brag bar is hovered or focused and not at all when the user prefers reduced motion.
+ * - The selected logo survives section re-renders and follows 'shopify:block:select' in the editor.
+ * Dispatches 'fresh:bragbar:select' ({ blockId, index, trigger }) on the brag bar.
+ *
+ * Example usage in a Shopify section:
+ *
+ * <div data-fresh-bragbar data-bragbar-autoplay="5000">
+ *    <div>
+ *       <button class="fresh-logobar" data-block-id="{{ block.id }}">...</button>
+ *    </div>
+ *    <div class="fresh_bragbar_text" data-block-id="{{ block.id }}">...</div>
+ * </div>
+ *
+ * @Author Ahmed Ezzaouia
+ ********************************************************************************************/
+const freshBragbarSelection = {};
+
+function freshBragbarGroup(element) {
+  return element.parentElement.closest('[data-fresh-bragbar], .shopify-section');
+}
+
+function freshBragbarBlockId(element, prefix) {
+  if (element.hasAttribute('data-block-id')) return element.getAttribute('data-block-id');
+  const blockClass = Array.from(element.classList).find(name => name.startsWith(prefix));
+  return blockClass ? blockClass.slice(prefix.length) : null;
+}
+
+function freshInitBragbar(bragbar) {
+  const texts = {};
+  bragbar.querySelectorAll('.fresh_bragbar_text').forEach(text => {
+    const blockId = freshBragbarBlockId(text, 'fresh_bragbar_text--');
+    if (blockId && freshBragbarGroup(text) === bragbar) texts[blockId] = text;
+  });
+  const tabs = Array.from(bragbar.querySelectorAll('.fresh-logobar')).filter(logo => {
+    if (freshBragbarGroup(logo) !== bragbar) return false;
+    const blockId = freshBragbarBlockId(logo, 'fresh-logobar--');
+    if (!texts[blockId]) freshLog.warn('brag bar logo without a matching text', logo);
+    return !!texts[blockId];
+  });
+  if (!tabs.length) return;
+
+  //stable across section re-renders, so the selection can be restored
+  const section = bragbar.closest('.shopify-section'),
+        id = bragbar.id || (section ? section.id : 'FreshBragbar') + '-bragbar-' +
+          Array.from((section || document).querySelectorAll('[data-fresh-bragbar]')).indexOf(bragbar),
+        state = { id, bragbar, tabs, texts, index: -1, timer: null, paused: new Set() };
+  if (tabs[0].parentElement && tabs.every(tab => tab.parentElement === tabs[0].parentElement)) {
+    tabs[0].parentElement.setAttribute('role', 'tablist');
+  }
+  tabs.forEach((tab, index) => {
+    const text = texts[freshBragbarBlockId(tab, 'fresh-logobar--')];
+    tab.id = tab.id || `${id}-tab-${index + 1}`;
+    text.id = text.id || `${id}-panel-${index + 1}`;
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', text.id);
+    text.setAttribute('role', 'tabpanel');
+    text.setAttribute('aria-labelledby', tab.id);
+    tab.style.opacity = text.style.display = '';
+  });
+
+  const saved = freshBragbarSelection[id] || bragbar.getAttribute('data-bragbar-active'),
+        initial = tabs.findIndex(tab => freshBragbarBlockId(tab, 'fresh-logobar--') === saved);
+  freshSelectBragbarTab(state, Math.max(initial, 0), 'init');
+
+  state.onClick = event => {
+    const tab = event.target.closest('.fresh-logobar');
+    if (tabs.includes(tab)) freshSelectBragbarTab(state, tabs.indexOf(tab), 'user');
+  };
+  state.onKeydown = event => {
+    const index = tabs.indexOf(event.target);
+    if (index < 0) return;
+    let next;
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown': next = (index + 1) % tabs.length; break;
+      case 'ArrowLeft':
+      case 'ArrowUp': next = (index - 1 + tabs.length) % tabs.length; break;
+      case 'Home': next = 0; break;
+      case 'End': next = tabs.length - 1; break;
+      case 'Enter':
+      case ' ':
+        if (event.target.tagName === 'BUTTON') return;
+        next = index;
+        break;
+      default: return;
+    }
+    event.preventDefault();
+    freshSelectBragbarTab(state, next, 'user');
+    tabs[next].focus();
+  };
+  state.onPause = event => {
+    state.paused.add(event.type === 'focusin' ? 'focus' : 'hover');
+  };
+  state.onResume = event => {
+    if (event.type === 'focusout' && bragbar.contains(event.relatedTarget)) return;
+    state.paused.delete(event.type === 'focusout' ? 'focus' : 'hover');
+  };
+  bragbar.addEventListener('click', state.onClick);
+  bragbar.addEventListener('keydown', state.onKeydown);
+  bragbar.addEventListener('mouseenter', state.onPause);
+  bragbar.addEventListener('mouseleave', state.onResume);
+  bragbar.addEventListener('focusin', state.onPause);
+  bragbar.addEventListener('focusout', state.onResume);
+
+  const interval = Number(bragbar.getAttribute('data-bragbar-autoplay'));
+  if (interval > 0 && tabs.length > 1) {
+    state.timer = setInterval(() => {
+      if (state.paused.size || freshReducedMotion.matches) return;
+      freshSelectBragbarTab(state, (state.index + 1) % tabs.length, 'autoplay');
+    }, interval);
+  }
+  return state;
+}
+
+/**
+ * Selects a logo of a brag bar and shows its text.
+ *
+ * @param {Object} state - The brag bar state.
+ * @param {Number} index - The logo to select.
+ * @param {String} trigger - What selected it: 'init', 'user', 'autoplay' or 'editor'.
+ */
+function freshSelectBragbarTab(state, index, trigger) {
+  state.tabs.forEach((tab, tabIndex) => {
+    const selected = tabIndex === index;
+    tab.setAttribute('aria-selected', selected);
+    tab.tabIndex = selected ? 0 : -1;
+    tab.classList.toggle('is-active', selected);
+    state.texts[freshBragbarBlockId(tab, 'fresh-logobar--')].hidden = !selected;
+  });
+  if (index === state.index) return;
+  state.index = index;
+
+  const blockId = freshBragbarBlockId(state.tabs[index], 'fresh-logobar--');
+  freshBragbarSelection[state.id] = blockId;
+  state.bragbar.dispatchEvent(new CustomEvent('fresh:bragbar:select', { bubbles: true, detail: { blockId, index, trigger } }));
+  if (trigger === 'user') {
+    const tab = state.tabs[index],
+          logo = tab.querySelector('img[alt]');
+    freshTrack('logo_select', {
+      block_id: blockId,
+      logo_index: index,
+      logo_name: tab.getAttribute('aria-label') || (logo && logo.alt) || tab.textContent.trim()
+    }, state.bragbar);
+  }
+}
+
+function freshDestroyBragbar(bragbar, state) {
+  if (!state) return;
+  clearInterval(state.timer);
+  bragbar.removeEventListener('click', state.onClick);
+  bragbar.removeEventListener('keydown', state.onKeydown);
+  bragbar.removeEventListener('mouseenter', state.onPause);
+  bragbar.removeEventListener('mouseleave', state.onResume);
+  bragbar.removeEventListener('focusin', state.onPause);
+  bragbar.removeEventListener('focusout', state.onResume);
+}
+
+function freshSelectBragbarBlock(bragbar, state, event) {
+  if (!state) return;
+  const blockId = event.detail && event.detail.blockId,
+        index = state.tabs.findIndex(tab => freshBragbarBlockId(tab, 'fresh-logobar--') === blockId);
+  if (index < 0) return;
+  state.paused.add('editor');
+  freshSelectBragbarTab(state, index, 'editor');
+}
+
+
+/********************************************************************************************
+ * Title: Sticky Header Controller
+ *
+ * Description:
+ * Drives the 'sticky-header' through four states, exposed as classes on the header
+ * ('fresh-header--top', '--scrolled', '--hidden', '--revealed'), as its data-fresh-state and
+ * through a 'fresh:header:change' event:
+ * - top: above the scrolled threshold.
+ * - scrolled: past the threshold, 'fresh-scrolled' is added as before.
+ * - hidden: scrolling down past the hide threshold (only with data-fresh-hide-on-scroll).
+ * - revealed: scrolling back up while hidden-on-scroll is enabled.
+ * The scroll direction is exposed as 'fresh-scroll-up' / 'fresh-scroll-down' classes.
+ * The threshold is watched with an IntersectionObserver sentinel, direction is only tracked
+ * (one rAF per frame) when hide-on-scroll is enabled. Browsers without IntersectionObserver /
+ * ResizeObserver fall back to checking the threshold on scroll and measuring on resize.
+ * The header never hides while the menu drawer or search modal (any open <details> in the
+ * header) is open or the header has focus, and drawers opened at the top of the page get the
+ * 'fresh-scrolled' look. Other components can hold the header in place with Fresh.header.lock().
+ *
+ * CSS custom properties on <html>:
+ * - --fresh-header-height: the measured header height.
+ * - --fresh-header-offset: the part of the page the header covers, 0 while hidden.
+ *
+ * Options (data attributes on 'sticky-header'):
+ * - data-fresh-scrolled-offset: px scrolled before the 'scrolled' state, defaults to the header height.
+ * - data-fresh-hide-on-scroll: enables hiding on scroll down.
+ * - data-fresh-hide-offset: px scrolled before the header may hide, defaults to twice its height.
+ * - data-fresh-scroll-tolerance: px to scroll before the direction changes, defaults to 8.
+ *
+ * @author Alexander Khost
+ ********************************************************************************************/
+const freshHeaderStates = ['top', 'scrolled', 'hidden', 'revealed'];
+let freshStickyHeaderState = null;
+
+function freshHeaderHidesOnScroll(header) {
+    return header.hasAttribute('data-fresh-hide-on-scroll') && header.getAttribute('data-fresh-hide-on-scroll') !== 'false';
+}
+
+function freshInitStickyHeader(header) {
+    const numberAttribute = name => header.hasAttribute(name) ? Number(header.getAttribute(name)) : null;
+    const state = {
+        header,
+        section: header.closest('.section-header') || header,
+        hideOnScroll: freshHeaderHidesOnScroll(header),
+        scrolledOffset: numberAttribute('data-fresh-scrolled-offset'),
+        hideOffset: numberAttribute('data-fresh-hide-offset'),
+        tolerance: numberAttribute('data-fresh-scroll-tolerance') || 8,
+        height: 0,
+        status: null,
+        direction: null,
+        pastThreshold: false,
+        anchorY: window.scrollY,
+        frame: null,
+        locks: new Set(),
+        sentinel: document.createElement('div')
+    };
+
+    state.sentinel.className = 'fresh-header-sentinel';
+    state.sentinel.setAttribute('aria-hidden', 'true');
+    state.sentinel.style.cssText = 'position:absolute;left:0;width:1px;height:1px;pointer-events:none;visibility:hidden';
+    document.body.prepend(state.sentinel);
+
+    if ('IntersectionObserver' in window) {
+        state.intersectionObserver = new IntersectionObserver(entries => {
+            const entry = entries[entries.length - 1];
+            state.pastThreshold = !entry.isIntersecting && entry.boundingClientRect.top < 0;
+            freshUpdateStickyHeader(state);
+        });
+        state.intersectionObserver.observe(state.sentinel);
+    }
+
+    if ('ResizeObserver' in window) {
+        state.resizeObserver = new ResizeObserver(entries => freshMeasureStickyHeader(header, state, entries));
+        state.resizeObserver.observe(header);
+    } else {
+        freshMeasureStickyHeader(header, state);
+    }
+
+    state.onScroll = () => {
+        if (state.frame) return;
+        state.frame = requestAnimationFrame(() => {
+            state.frame = null;
+            const y = window.scrollY,
+                  pastThreshold = state.intersectionObserver ? state.pastThreshold : y > parseFloat(state.sentinel.style.top);
+            const turned = state.hideOnScroll && Math.abs(y - state.anchorY) >= state.tolerance;
+            if (!turned && pastThreshold === state.pastThreshold) return;
+            if (turned) {
+                state.direction = y > state.anchorY ? 'down' : 'up';
+                state.anchorY = y;
+            }
+            state.pastThreshold = pastThreshold;
+            freshUpdateStickyHeader(state);
+        });
+    };
+    if (state.hideOnScroll || !state.intersectionObserver) window.addEventListener('scroll', state.onScroll, { passive: true });
+
+    //menu drawer / search modal, 'toggle' doesn't bubble so listen in the capture phase
+    state.onToggle = () => {
+        header.querySelector('details[open]') ? state.locks.add('details') : state.locks.delete('details');
+        freshUpdateStickyHeader(state);
+    };
+    state.onFocus = event => {
+        event.type === 'focusin' ? state.locks.add('focus') : header.contains(event.relatedTarget) || state.locks.delete('focus');
+        freshUpdateStickyHeader(state);
+    };
+    header.addEventListener('toggle', state.onToggle, true);
+    header.addEventListener('focusin', state.onFocus);
+    header.addEventListener('focusout', state.onFocus);
+
+    freshStickyHeaderState = state;
+    freshUpdateStickyHeader(state);
+    return state;
+}
+
+//also the resize hook, which only has to measure when there is no ResizeObserver
+function freshMeasureStickyHeader(header, state, entries) {
+    if (state.resizeObserver && !entries) return;
+    state.height = header.getBoundingClientRect().height;
+    freshHeaderHeights[header.classList.contains('fresh-scrolled') ? 'scrolled' : 'top'] = state.height;
+    document.documentElement.style.setProperty('--fresh-header-height', state.height + 'px');
+    //the threshold follows the unscrolled header height unless it was configured
+    if (!state.status || state.status === 'top') {
+        state.sentinel.style.top = (state.scrolledOffset !== null ? state.scrolledOffset : state.height) + 'px';
+    }
+    freshUpdateStickyHeader(state);
+}
+
+function freshUpdateStickyHeader(state) {
+    const { header, section } = state,
+          pastHide = window.scrollY > (state.hideOffset !== null ? state.hideOffset : state.height * 2);
+
+    let status = state.pastThreshold ? 'scrolled' : 'top';
+    if (state.hideOnScroll && state.pastThreshold) {
+        if (state.locks.size || state.direction === 'up') status = state.status === 'hidden' || state.status === 'revealed' ? 'revealed' : 'scrolled';
+        else if (state.direction === 'down' && pastHide) status = 'hidden';
+        else if (state.status === 'hidden' || state.status === 'revealed') status = state.status;
+    }
+
+    header.classList.toggle('fresh-scrolled', status !== 'top' || state.locks.has('details'));
+    header.classList.toggle('fresh-scroll-up', state.direction === 'up');
+    header.classList.toggle('fresh-scroll-down', state.direction === 'down');
+    freshHeaderStates.forEach(name => header.classList.toggle('fresh-header--' + name, name === status));
+    section.classList.toggle('fresh-header-hidden', status === 'hidden');
+    document.documentElement.style.setProperty('--fresh-header-offset', (status === 'hidden' ? 0 : state.height) + 'px');
+
+    if (status === state.status) return;
+    state.status = status;
+    header.setAttribute('data-fresh-state', status);
+    header.dispatchEvent(new CustomEvent('fresh:header:change', { bubbles: true, detail: { state: status } }));
+}
+
+function freshDestroyStickyHeader(header, state) {
+    if (state.intersectionObserver) state.intersectionObserver.disconnect();
+    if (state.resizeObserver) state.resizeObserver.disconnect();
+    cancelAnimationFrame(state.frame);
+    window.removeEventListener('scroll', state.onScroll);
+    header.removeEventListener('toggle', state.onToggle, true);
+    header.removeEventListener('focusin', state.onFocus);
+    header.removeEventListener('focusout', state.onFocus);
+    state.sentinel.remove();
+    state.section.classList.remove('fresh-header-hidden');
+    if (freshStickyHeaderState === state) freshStickyHeaderState = null;
+}
+
+Fresh.header = {
+    get state() {
+        return freshStickyHeaderState ? freshStickyHeaderState.status : null;
+    },
+    //keep the header visible, e.g. while a modal that depends on it is open
+    lock(reason) {
+        if (!freshStickyHeaderState) return;
+        freshStickyHeaderState.locks.add(reason);
+        freshUpdateStickyHeader(freshStickyHeaderState);
+    },
+    unlock(reason) {
+        if (!freshStickyHeaderState) return;
+        freshStickyHeaderState.locks.delete(reason);
+        freshUpdateStickyHeader(freshStickyHeaderState);
+    }
+};
+
+
+/********************************************************************************************
+ * Title: AJAX Cart
+ *
+ * Description:
+ * Fresh.cart wraps Shopify's AJAX cart endpoints (/cart.js, /cart/add.js, /cart/change.js)
+ * so custom add to cart buttons no longer reload the page.
+ * - Requests run one at a time through a queue, so quick clicks can't race each other.
+ * - The cart is loaded when the page initializes if it shows the cart (the '#cart-icon-bubble',
+ *   a cart drawer / notification) or has add to cart buttons, so updates are optimistic from
+ *   the first click: the bubble count changes right away and is put back to the last confirmed
+ *   cart if the request fails. Other pages don't request it until the first add, which then
+ *   counts on top of it once it's there.
+ * - Dispatches 'fresh:cart:updated' ({ cart, optimistic }) on the document after every change
+ *   (Fresh.on('cart:updated', ...)) and 'fresh:cart:error' ({ error, action }) when one fails.
+ *   Dawn's own cart components are notified through its pub/sub when it is on the page.
+ * - Re-renders the '#cart-icon-bubble' count (labelled by data-fresh-cart-label on the link,
+ *   '{count} items' by default) and opens the cart drawer / notification after an add.
+ * - Requests go to Shopify.routes.root, or to features.cart.root in the store config, e.g. a
+ *   local mock of the endpoints.
+ *
+ * Declarative buttons:
+ * <button type="button" data-fresh-add-to-cart="{{ variant.id }}" data-quantity="1">Add to cart</button>
+ * data-properties takes line item properties as JSON, data-selling-plan a selling plan id. An
+ * empty data-fresh-add-to-cart inside a form adds the form's fields instead.
+ *
+ * Usage:
+ * Fresh.cart.add({ id: 123, quantity: 2 }).then(cart => ...)
+ * Fresh.cart.change('line-item-key', 0)
+ * Fresh.cart.fetch()
+ *
+ * @author Alexander Khost
+ ********************************************************************************************/
+let     freshCart = null,
+        freshCartLoading = null,
+        freshCartConfirmed = null,
+        freshCartQueue = Promise.resolve(),
+        freshCartPending = 0;
+
+function freshCartRequest(path, body) {
+    const options = freshFeatureOptions('cart'),
+          root = options.root || (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/',
+          init = { headers: { Accept: 'application/json' } };
+    if (body) {
+        init.method = 'POST';
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+    }
+    return fetch(root.replace(/\/?$/, '/') + path, init).then(response => response.json().then(json => {
+        if (response.ok) return json;
+        const error = new Error(json.description || json.message || response.statusText);
+        error.status = response.status;
+        throw error;
+    }));
+}
+
+//one request at a time, a failed one doesn't block the next
+function freshCartEnqueue(task) {
+    freshCartPending++;
+    const run = freshCartQueue.then(task);
+    freshCartQueue = run.catch(() => {}).then(() => freshCartPending--);
+    return run;
+}
+
+function freshSetCart(cart, optimistic = false) {
+    freshCart = cart;
+    if (!optimistic) freshCartConfirmed = cart;
+    //an earlier request finishing shouldn't undo the optimistic count of the ones still queued
+    if (optimistic || freshCartPending <= 1) freshRenderCartBubble(cart);
+    document.dispatchEvent(new CustomEvent('fresh:cart:updated', { detail: { cart, optimistic } }));
+    if (!optimistic && typeof window.publish === 'function' && window.PUB_SUB_EVENTS) {
+        window.publish(window.PUB_SUB_EVENTS.cartUpdate, { source: 'fresh-cart', cartData: cart });
+    }
+}
+
+function freshCartFailed(error, action) {
+    if (freshCartConfirmed) freshSetCart(freshCartConfirmed);
+    freshLog.error(`cart ${action} failed`, error);
+    document.dispatchEvent(new CustomEvent('fresh:cart:error', { detail: { error, action } }));
+    throw error;
+}
+
+function freshRenderCartBubble(cart) {
+    const link = document.getElementById('cart-icon-bubble');
+    if (!link || !cart) return;
+
+    let bubble = link.querySelector('.cart-count-bubble');
+    if (!cart.item_count) {
+        if (bubble) bubble.remove();
+        return;
+    }
+    if (!bubble) {
+        bubble = document.createElement('div');
+        bubble.className = 'cart-count-bubble';
+        bubble.innerHTML = '<span aria-hidden="true"></span><span class="visually-hidden"></span>';
+        link.appendChild(bubble);
+    }
+    const label = link.getAttribute('data-fresh-cart-label') || '{count} items';
+    bubble.children[0].textContent = cart.item_count < 100 ? cart.item_count : '';
+    bubble.children[1].textContent = label.replace('{count}', cart.item_count);
+}
+
+function freshFetchCart() {
+    return freshCartEnqueue(() => freshCartRequest('cart.js'))
+        .then(cart => {
+            freshSetCart(cart);
+            return cart;
+        }, error => freshCartFailed(error, 'fetch'));
+}
+
+//the cart, fetched once on first use when nothing on the page needed it up front
+function freshLoadCart() {
+    if (freshCart) return Promise.resolve(freshCart);
+    if (!freshCartLoading) freshCartLoading = freshFetchCart().finally(() => freshCartLoading = null);
+    return freshCartLoading;
+}
+
+function freshHasCartUI() {
+    return !!document.querySelector('#cart-icon-bubble, cart-drawer, cart-notification, [data-fresh-add-to-cart]');
+}
+
+/**
+ * Adds one or more items, then opens the cart drawer.
+ *
+ * @param {Object|Object[]} items - { id, quantity, properties, selling_plan } or a list of them.
+ * @param {Object} [options]
+ * @param {Boolean} [options.open] - Open the cart drawer / notification, defaults to true.
+ * @returns {Promise<Object>} The updated cart.
+ */
+function freshAddToCart(items, options = {}) {
+    items = [].concat(items).map(item => Object.assign({ quantity: 1 }, item));
+    const drawer = options.open === false ? null : document.querySelector('cart-drawer, cart-notification'),
+          body = { items };
+    //have Shopify render the drawer's sections along with the add, the way Dawn's product form does
+    if (drawer && typeof drawer.getSectionsToRender === 'function') {
+        body.sections = drawer.getSectionsToRender().map(section => section.id);
+        body.sections_url = window.location.pathname;
+    }
+
+    const count = items.reduce((total, item) => total + Number(item.quantity), 0),
+          optimistic = cart => freshSetCart(Object.assign({}, cart, { item_count: cart.item_count + count }), true);
+    if (freshCart) optimistic(freshCart);
+    else freshLoadCart().then(optimistic, () => {});
+
+    let added;
+    return freshCartEnqueue(() => freshCartRequest('cart/add.js', body)
+        .then(response => {
+            added = response;
+            return freshCartRequest('cart.js');
+        }))
+        .then(cart => {
+            freshSetCart(cart);
+            if (drawer) freshOpenCartDrawer(drawer, added);
+            return cart;
+        }, error => freshCartFailed(error, 'add'));
+}
+
+/**
+ * Sets the quantity of a line item, 0 removes it.
+ *
+ * @param {String|Number} line - The line item key, or its 1-based line number.
+ * @param {Number} quantity - The new quantity.
+ * @returns {Promise<Object>} The updated cart.
+ */
+function freshChangeCart(line, quantity) {
+    const body = typeof line === 'number' ? { line, quantity } : { id: line, quantity };
+
+    if (freshCart && freshCart.items) {
+        const index = typeof line === 'number' ? line - 1 : freshCart.items.findIndex(item => item.key === line),
+              item = freshCart.items[index];
+        if (item) {
+            const items = freshCart.items.slice();
+            if (quantity > 0) items[index] = Object.assign({}, item, { quantity });
+            else items.splice(index, 1);
+            freshSetCart(Object.assign({}, freshCart, { items, item_count: freshCart.item_count - item.quantity + quantity }), true);
+        }
+    }
+
+    return freshCartEnqueue(() => freshCartRequest('cart/change.js', body))
+        .then(cart => {
+            freshSetCart(cart);
+            return cart;
+        }, error => freshCartFailed(error, 'change'));
+}
+
+function freshOpenCartDrawer(drawer, added) {
+    drawer.classList.remove('is-empty');
+    if (added && added.sections && typeof drawer.renderContents === 'function') {
+        //Dawn expects the single item response of the form based add
+        drawer.renderContents(Object.assign({}, added.items ? added.items[0] : added, { sections: added.sections }));
+    } else if (typeof drawer.open === 'function') {
+        drawer.open();
+    }
+}
+
+function freshCartButtonItems(button) {
+    const id = button.getAttribute('data-fresh-add-to-cart');
+    if (!id && button.form) {
+        const data = new FormData(button.form),
+              item = { id: data.get('id'), quantity: Number(data.get('quantity')) || 1, properties: {} };
+        data.forEach((value, key) => {
+            const property = /^properties\[(.+)\]$/.exec(key);
+            if (property) item.properties[property[1]] = value;
+        });
+        if (data.get('selling_plan')) item.selling_plan = data.get('selling_plan');
+        return item;
+    }
+
+    const item = { id, quantity: Number(button.getAttribute('data-quantity')) || 1 };
+    if (button.hasAttribute('data-selling-plan')) item.selling_plan = button.getAttribute('data-selling-plan');
+    if (button.hasAttribute('data-properties')) {
+        try {
+            item.properties = JSON.parse(button.getAttribute('data-properties'));
+        } catch (error) {
+            freshLog.error('invalid data-properties JSON', button, error);
+        }
+    }
+    return item;
+}
+
+function freshInitCart() {
+    const state = {
+        onClick: event => {
+            const button = event.target.closest && event.target.closest('[data-fresh-add-to-cart]');
+            if (!button || button.getAttribute('aria-disabled') === 'true') return;
+            event.preventDefault();
+
+            button.setAttribute('aria-disabled', 'true');
+            button.classList.add('loading');
+            freshAddToCart(freshCartButtonItems(button)).catch(() => {}).then(() => {
+                button.removeAttribute('aria-disabled');
+                button.classList.remove('loading');
+            });
+        },
+        //the page came back from the back/forward cache, the cart may have changed meanwhile
+        onPageShow: event => event.persisted && freshHasCartUI() && freshFetchCart().catch(() => {})
+    };
+    document.addEventListener('click', state.onClick);
+    window.addEventListener('pageshow', state.onPageShow);
+    if (!freshCart && freshHasCartUI()) freshLoadCart().catch(() => {});
+    return state;
+}
+
+function freshDestroyCart(html, state) {
+    document.removeEventListener('click', state.onClick);
+    window.removeEventListener('pageshow', state.onPageShow);
+}
+
+Fresh.cart = {
+    get state() {
+        return freshCart;
+    },
+    fetch: freshFetchCart,
+    add: freshAddToCart,
+    change: freshChangeCart
+};
+
+
+/********************************************************************************************
+ * Title: Predictive Search
+ *
+ * Description:
+ * A layer on top of the header's 'predictive-search' element (Dawn's markup, section and styles)
+ * that takes over its input handling:
+ * - Shows recent searches and popular searches while the input is empty. Both are kept in
+ *   localStorage, popular searches are the store's own list (features.search.popular in the
+ *   store config, or a comma separated data-popular-searches on the element) followed by the
+ *   terms searched most on this device.
+ * - Asks /search/suggest for results once typing pauses, caches the response per query and
+ *   aborts requests that are no longer current.
+ * - Arrow Up/Down move through the options (aria-selected / aria-activedescendant on the
+ *   combobox), Enter follows the active option and Escape closes the results before the
+ *   search modal.
+ * - Highlights the searched words in the result titles.
+ * Headings can be translated with data-recent-label / data-popular-label on the element.
+ *
+ * @author Alexander Khost
+ ********************************************************************************************/
+const   freshSearchStorageKey = 'fresh-search',
+        freshSearchCacheSize = 50;
+
+function freshSearchHistory() {
+    try {
+        return Object.assign({ recent: [], counts: {} }, JSON.parse(localStorage.getItem(freshSearchStorageKey)));
+    } catch (error) {
+        return { recent: [], counts: {} };
+    }
+}
+
+function freshRememberSearch(term) {
+    term = (term || '').trim();
+    if (!term) return;
+    const history = freshSearchHistory(),
+          key = term.toLowerCase();
+    history.recent = [term].concat(history.recent.filter(recent => recent.toLowerCase() !== key)).slice(0, 5);
+    history.counts[key] = (history.counts[key] || 0) + 1;
+    //only keep the most searched terms around
+    history.counts = Object.fromEntries(Object.entries(history.counts).sort((a, b) => b[1] - a[1]).slice(0, freshSearchCacheSize));
+    try {
+        localStorage.setItem(freshSearchStorageKey, JSON.stringify(history));
+    } catch (error) {
+        //storage full or disabled (private browsing), recent searches just won't stick
+    }
+}
+
+function freshPopularSearches(search, history) {
+    const configured = freshFeatureOptions('search').popular ||
+              (search.getAttribute('data-popular-searches') || '').split(','),
+          counted = Object.entries(history.counts).filter(entry => entry[1] > 1).map(entry => entry[0]),
+          recent = history.recent.map(term => term.toLowerCase()),
+          seen = new Set();
+    return configured.concat(counted)
+        .map(term => term.trim())
+        .filter(term => {
+            const key = term.toLowerCase();
+            if (!term || seen.has(key) || recent.includes(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, 5);
+}
+
+function freshInitSearch(search) {
+    const input = search.querySelector('input[type="search"], input[name="q"]'),
+          results = search.querySelector('[data-predictive-search]');
+    if (!input || !results) return;
+
+    const state = {
+        search,
+        input,
+        results,
+        form: input.form,
+        reset: input.form && input.form.querySelector('button[type="reset"]'),
+        status: search.querySelector('.predictive-search-status'),
+        loading: results.querySelector('.predictive-search__loading-state'),
+        cache: new Map(),
+        controller: null
+    };
+    state.update = debounce(() => freshUpdateSearch(state), 300);
+
+    //capture phase, so Dawn's own handlers on the element don't run as well
+    state.onInput = event => {
+        if (event.target !== input) return;
+        event.stopPropagation();
+        if (state.reset) state.reset.classList.toggle('hidden', !input.value.length);
+        state.update();
+    };
+    state.onFocus = event => {
+        if (event.target !== input) return;
+        event.stopPropagation();
+        freshUpdateSearch(state);
+    };
+    state.onKeydown = event => event.target === input && freshSearchKeydown(state, event);
+    state.onKeyup = event => {
+        //Escape with the results closed is for the search modal
+        if (event.target === input && !(event.key === 'Escape' && !search.hasAttribute('open'))) event.stopPropagation();
+    };
+    state.onFocusOut = () => setTimeout(() => {
+        if (!search.contains(document.activeElement)) freshCloseSearch(state);
+    });
+    state.onClick = event => {
+        const option = event.target.closest('[role="option"]');
+        if (option && results.contains(option)) freshRememberSearch(option.getAttribute('data-fresh-search-term') || input.value);
+    };
+    state.onSubmit = () => freshRememberSearch(input.value);
+    state.onReset = () => setTimeout(() => document.activeElement === input && freshUpdateSearch(state));
+
+    search.addEventListener('input', state.onInput, true);
+    search.addEventListener('focus', state.onFocus, true);
+    search.addEventListener('keydown', state.onKeydown, true);
+    search.addEventListener('keyup', state.onKeyup, true);
+    search.addEventListener('focusout', state.onFocusOut);
+    results.addEventListener('click', state.onClick);
+    if (state.form) {
+        state.form.addEventListener('submit', state.onSubmit);
+        state.form.addEventListener('reset', state.onReset);
+    }
+    return state;
+}
+
+function freshUpdateSearch(state) {
+    const term = state.input.value.trim(),
+          key = term.toLowerCase();
+    if (state.controller) state.controller.abort();
+    state.controller = null;
+    if (!term) return freshSearchSuggestions(state);
+    if (state.cache.has(key)) return freshRenderSearch(state, state.cache.get(key), term);
+
+    const url = new URL((window.routes && window.routes.predictive_search_url) || '/search/suggest', document.baseURI);
+    url.searchParams.set('q', term);
+    url.searchParams.set('section_id', 'predictive-search');
+    state.controller = new AbortController();
+    state.search.setAttribute('loading', true);
+    freshSearchStatus(state, state.search.getAttribute('data-loading-text'));
+
+    fetch(url.href, { signal: state.controller.signal })
+        .then(response => {
+            if (!response.ok) throw new Error(response.status + ' ' + response.statusText);
+            return response.text();
+        })
+        .then(text => {
+            const section = new DOMParser().parseFromString(text, 'text/html').getElementById('shopify-section-predictive-search'),
+                  markup = section ? section.innerHTML : '';
+            state.cache.set(key, markup);
+            if (state.cache.size > freshSearchCacheSize) state.cache.delete(state.cache.keys().next().value);
+            state.controller = null;
+            if (state.input.value.trim().toLowerCase() === key) freshRenderSearch(state, markup, term);
+        })
+        .catch(error => {
+            if (error.name === 'AbortError') return;
+            state.controller = null;
+            freshLog.error('predictive search failed', error);
+            freshCloseSearch(state);
+        });
+}
+
+function freshSearchSuggestions(state) {
+    const history = freshSearchHistory(),
+          groups = [
+              { name: 'recent', label: state.search.getAttribute('data-recent-label') || 'Recent searches', terms: history.recent },
+              { name: 'popular', label: state.search.getAttribute('data-popular-label') || 'Popular searches', terms: freshPopularSearches(state.search, history) }
+          ].filter(group => group.terms.length);
+    if (!groups.length) return freshCloseSearch(state);
+
+    const action = state.form ? state.form.getAttribute('action') || '/search' : '/search',
+          escape = text => text.replace(/[&<>"']/g, character => '&#' + character.charCodeAt(0) + ';');
+    const markup = '<div id="predictive-search-results" class="fresh-search-suggestions" role="listbox">' + groups.map(group => `
+        <h2 id="fresh-search-${group.name}-heading" class="predictive-search__heading text-body caption-with-letter-spacing">${escape(group.label)}</h2>
+        <ul class="predictive-search__results-list list-unstyled" role="group" aria-labelledby="fresh-search-${group.name}-heading">` +
+            group.terms.map((term, index) => `
+            <li id="fresh-search-${group.name}-${index}" class="predictive-search__list-item" role="option" aria-selected="false" data-fresh-search-term="${escape(term)}">
+              <a href="${escape(action)}?q=${encodeURIComponent(term)}" class="predictive-search__item link link--text" tabindex="-1">${escape(term)}</a>
+            </li>`).join('') + `
+        </ul>`).join('') + '</div>';
+    freshRenderSearch(state, markup, '');
+}
+
+function freshRenderSearch(state, markup, term) {
+    const { search, input, results } = state;
+    results.innerHTML = markup;
+    if (state.loading && !results.querySelector('.predictive-search__loading-state')) results.appendChild(state.loading);
+    search.removeAttribute('loading');
+    search.setAttribute('results', true);
+    input.setAttribute('aria-activedescendant', '');
+
+    results.querySelectorAll('[role="option"]').forEach((option, index) => {
+        if (!option.id) option.id = 'fresh-search-option-' + index;
+        option.setAttribute('aria-selected', 'false');
+    });
+    if (term) freshHighlightSearch(results, term);
+
+    const count = results.querySelector('[data-predictive-search-live-region-count-value]');
+    freshSearchStatus(state, count ? count.textContent : '');
+    search.setAttribute('open', true);
+    input.setAttribute('aria-expanded', true);
+}
+
+function freshCloseSearch(state) {
+    const { search, input, results } = state,
+          selected = results.querySelector('[aria-selected="true"]');
+    if (selected) selected.setAttribute('aria-selected', 'false');
+    input.setAttribute('aria-activedescendant', '');
+    input.setAttribute('aria-expanded', false);
+    search.removeAttribute('loading');
+    search.removeAttribute('open');
+}
+
+function freshSearchStatus(state, text) {
+    if (!state.status || !text) return;
+    state.status.textContent = text;
+    state.status.setAttribute('aria-hidden', 'false');
+    clearTimeout(state.statusTimer);
+    state.statusTimer = setTimeout(() => {
+        state.status.textContent = '';
+        state.status.setAttribute('aria-hidden', 'true');
+    }, 1000);
+}
+
+function freshSearchKeydown(state, event) {
+    const { search, input, results } = state,
+          open = search.hasAttribute('open'),
+          options = Array.from(results.querySelectorAll('[role="option"]')),
+          current = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+
+    switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+            event.preventDefault();
+            event.stopPropagation();
+            if (!open) return freshUpdateSearch(state);
+            if (!options.length) return;
+            //up from the first option goes back to the input
+            let index = current + (event.key === 'ArrowDown' ? 1 : -1);
+            if (index >= options.length) index = 0;
+            if (index < -1) index = options.length - 1;
+            if (current > -1) options[current].setAttribute('aria-selected', 'false');
+            if (index === -1) {
+                input.setAttribute('aria-activedescendant', '');
+                return;
+            }
+            options[index].setAttribute('aria-selected', 'true');
+            input.setAttribute('aria-activedescendant', options[index].id);
+            options[index].scrollIntoView({ block: 'nearest' });
+            break;
+        }
+        case 'Enter': {
+            if (!open || current === -1) return;
+            event.preventDefault();
+            event.stopPropagation();
+            //the click is remembered by the results' click listener
+            (options[current].querySelector('a, button') || options[current]).click();
+            break;
+        }
+        case 'Escape':
+            if (!open) return;
+            event.preventDefault();
+            event.stopPropagation();
+            freshCloseSearch(state);
+            break;
+    }
+}
+
+/**
+ * Wraps the searched words in the result titles in <mark class="fresh-search-highlight">.
+ */
+function freshHighlightSearch(results, term) {
+    const words = term.split(/\s+/).filter(Boolean).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (!words.length) return;
+    const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+
+    results.querySelectorAll('.predictive-search__item-heading, [data-fresh-search-highlight]').forEach(heading => {
+        const walker = document.createTreeWalker(heading, NodeFilter.SHOW_TEXT),
+              nodes = [];
+        while (walker.nextNode()) {
+            if (!walker.currentNode.parentNode.closest('mark')) nodes.push(walker.currentNode);
+        }
+        nodes.forEach(node => {
+            const parts = node.textContent.split(pattern);
+            if (parts.length < 2) return;
+            const fragment = document.createDocumentFragment();
+            parts.forEach((part, index) => {
+                if (!part) return;
+                if (index % 2) {
+                    const mark = document.createElement('mark');
+                    mark.className = 'fresh-search-highlight';
+                    mark.textContent = part;
+                    fragment.appendChild(mark);
+                } else {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+            });
+            node.replaceWith(fragment);
+        });
+    });
+}
+
+function freshDestroySearch(search, state) {
+    if (!state) return;
+    if (state.controller) state.controller.abort();
+    clearTimeout(state.statusTimer);
+    search.removeEventListener('input', state.onInput, true);
+    search.removeEventListener('focus', state.onFocus, true);
+    search.removeEventListener('keydown', state.onKeydown, true);
+    search.removeEventListener('keyup', state.onKeyup, true);
+    search.removeEventListener('focusout', state.onFocusOut);
+    state.results.removeEventListener('click', state.onClick);
+    if (state.form) {
+        state.form.removeEventListener('submit', state.onSubmit);
+        state.form.removeEventListener('reset', state.onReset);
+    }
+}
+
+
+/********************************************************************************************
+ * Title: Mega Menu
+ *
+ * Description:
+ * Turns the header's inline menu into multi-column panels with promo images, and renders the
+ * same menu into the header drawer ('menu-drawer') that takes over below the lg breakpoint.
+ * - The menu comes from a JSON script tag inside the nav (or the element whose id is the value
+ *   of data-fresh-mega-menu), or else from the nav's own nested lists (top level > columns >
+ *   links). Promos in nested lists are '[data-fresh-mega-promo]' links holding an image.
+ *     [{ "title": "Shop", "url": "/collections/all",
+ *        "links": [{ "title": "Tops", "url": "...", "links": [{ "title": "Tees", "url": "..." }] }],
+ *        "promos": [{ "image": "{{ image | image_url: width: 600 }}", "alt": "", "title": "New in", "url": "..." }] }]
+ * - Panels open on hover after a short delay (data-hover-delay, 200ms by default) with a mouse,
+ *   and on the first tap on touch screens (the second one follows the link).
+ * - Keyboard: menubar pattern. Left/Right/Home/End move along the top level, Down/Up/Enter/Space
+ *   open a panel, Up/Down/Home/End move inside it, Left/Right move on to the neighbouring panel
+ *   and Escape closes it. A panel's own link is repeated as its first item.
+ * - Closes on Escape and on a click outside the menu, and keeps the sticky header in place
+ *   while a panel is open.
+ * The original markup is put back when the component is destroyed (theme editor reloads).
+ *
+ * Example usage in the header section:
+ *
+ * <nav class="header__inline-menu" data-fresh-mega-menu>
+ *    <script type="application/json">{{ menu_json }}</script>
+ *    <ul class="list-menu list-menu--inline" role="list">...</ul>
+ * </nav>
+ *
+ * @author Alexander Khost
+ ********************************************************************************************/
+let freshMegaMenuCount = 0;
+
+const freshMegaMenuArrow = '<svg viewBox="0 0 14 10" fill="none" aria-hidden="true" focusable="false" class="icon icon-arrow" xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" clip-rule="evenodd" d="M8.537.808a.5.5 0 01.817-.162l4 4a.5.5 0 010 .708l-4 4a.5.5 0 11-.708-.708L11.793 5.5H1a.5.5 0 010-1h10.793L8.646 1.354a.5.5 0 01-.109-.546z" fill="currentColor"></path></svg>';
+
+function freshElement(tag, attributes = {}, ...children) {
+    const element = document.createElement(tag);
+    Object.keys(attributes).forEach(name => {
+        if (attributes[name] !== null && attributes[name] !== undefined && attributes[name] !== false) element.setAttribute(name, attributes[name]);
+    });
+    children.forEach(child => child && element.append(child));
+    return element;
+}
+
+function freshParseMenuList(list, depth = 0) {
+    return Array.from(list.children).filter(li => li.tagName === 'LI').map(li => {
+        const label = Array.from(li.querySelectorAll('a, summary')).find(element => !element.closest('[data-fresh-mega-promo]')),
+              sublist = depth < 2 && li.querySelector('ul'),
+              item = { title: label ? label.textContent.trim() : '', url: label && label.getAttribute('href') };
+        if (sublist) item.links = freshParseMenuList(sublist, depth + 1);
+        if (depth === 0) {
+            item.promos = Array.from(li.querySelectorAll('[data-fresh-mega-promo]')).map(promo => {
+                const image = promo.querySelector('img');
+                return {
+                    url: promo.getAttribute('href'),
+                    image: image && (image.getAttribute('src') || image.getAttribute('data-src')),
+                    alt: image ? image.getAttribute('alt') : '',
+                    title: promo.textContent.trim()
+                };
+            });
+        }
+        return item;
+    });
+}
+
+function freshMegaMenuData(nav) {
+    const id = nav.getAttribute('data-fresh-mega-menu'),
+          block = (id && document.getElementById(id)) || nav.querySelector('script[type="application/json"]');
+    if (block) {
+        try {
+            return JSON.parse(block.textContent);
+        } catch (error) {
+            freshLog.error('invalid mega menu JSON, using the nested lists', nav, error);
+        }
+    }
+    const list = nav.querySelector('ul');
+    return list ? freshParseMenuList(list) : [];
+}
+
+function freshMegaMenuCurrent(url) {
+    return url && url === window.location.pathname ? 'page' : null;
+}
+
+function freshMegaMenuPromos(promos, modifier) {
+    if (!promos || !promos.length) return null;
+    return freshElement('div', { class: 'fresh-mega-menu__promos' + (modifier ? ' fresh-mega-menu__promos--' + modifier : '') },
+        ...promos.map(promo => freshElement(promo.url ? 'a' : 'div', { class: 'fresh-mega-menu__promo', href: promo.url },
+            promo.image ? freshElement('img', { src: promo.image, alt: promo.alt || '', loading: 'lazy', class: 'fresh-mega-menu__promo-image' }) : null,
+            promo.title ? freshElement('span', { class: 'fresh-mega-menu__promo-title' }, promo.title) : null
+        )));
+}
+
+function freshRenderMegaMenu(state) {
+    const { list, data, id } = state;
+    list.textContent = '';
+    list.setAttribute('role', 'menubar');
+    list.classList.add('fresh-mega-menu');
+
+    state.items = data.map((entry, index) => {
+        const hasPanel = !!((entry.links && entry.links.length) || (entry.promos && entry.promos.length)),
+              panelId = `${id}-panel-${index}`,
+              trigger = freshElement(entry.url ? 'a' : 'button', {
+                  class: 'fresh-mega-menu__trigger header__menu-item list-menu__item link link--text focus-inset',
+                  href: entry.url,
+                  type: entry.url ? null : 'button',
+                  role: 'menuitem',
+                  tabindex: index ? '-1' : '0',
+                  'aria-current': freshMegaMenuCurrent(entry.url),
+                  'aria-haspopup': hasPanel ? 'true' : null,
+                  'aria-expanded': hasPanel ? 'false' : null,
+                  'aria-controls': hasPanel ? panelId : null
+              }, freshElement('span', {}, entry.title)),
+              li = freshElement('li', { class: 'fresh-mega-menu__item', role: 'none' }, trigger);
+
+        let panel = null;
+        if (hasPanel) {
+            const link = (child, className) => freshElement('a', {
+                class: className, href: child.url || '#', role: 'menuitem', tabindex: '-1', 'aria-current': freshMegaMenuCurrent(child.url)
+            }, child.title);
+            const columns = freshElement('ul', { class: 'fresh-mega-menu__columns list-unstyled', role: 'menu', 'aria-label': entry.title },
+                entry.url ? freshElement('li', { class: 'fresh-mega-menu__column fresh-mega-menu__column--all', role: 'none' }, link(entry, 'fresh-mega-menu__heading link')) : null,
+                ...(entry.links || []).map(column => freshElement('li', { class: 'fresh-mega-menu__column', role: 'none' },
+                    link(column, 'fresh-mega-menu__heading link'),
+                    column.links && column.links.length ? freshElement('ul', { class: 'list-unstyled', role: 'group', 'aria-label': column.title },
+                        ...column.links.map(child => freshElement('li', { role: 'none' }, link(child, 'fresh-mega-menu__link link')))) : null
+                )));
+            panel = freshElement('div', { id: panelId, class: 'fresh-mega-menu__panel color-background-1 gradient' },
+                freshElement('div', { class: 'fresh-mega-menu__inner page-width' }, columns, freshMegaMenuPromos(entry.promos)));
+            panel.hidden = true;
+            li.append(panel);
+        }
+        list.append(li);
+        return { li, trigger, panel };
+    });
+}
+
+function freshRenderMegaMenuDrawer(state) {
+    const render = (entries, prefix) => entries.map((entry, index) => {
+        const id = `${prefix}-${index}`;
+        if (!(entry.links && entry.links.length) && !(entry.promos && entry.promos.length)) {
+            return freshElement('li', {}, freshElement('a', {
+                href: entry.url || '#', class: 'menu-drawer__menu-item list-menu__item link link--text focus-inset', 'aria-current': freshMegaMenuCurrent(entry.url)
+            }, entry.title));
+        }
+        const summary = freshElement('summary', { class: 'menu-drawer__menu-item list-menu__item link link--text focus-inset', 'aria-expanded': 'false' }, entry.title),
+              close = freshElement('button', { type: 'button', class: 'menu-drawer__close-button link link--text focus-inset', 'aria-expanded': 'true' }, entry.title),
+              menu = freshElement('ul', { class: 'menu-drawer__menu list-menu', role: 'list', tabindex: '-1' },
+                  entry.url ? freshElement('li', {}, freshElement('a', { href: entry.url, class: 'menu-drawer__menu-item link link--text list-menu__item focus-inset' }, entry.title)) : null,
+                  ...render(entry.links || [], id));
+        summary.insertAdjacentHTML('beforeend', freshMegaMenuArrow);
+        close.insertAdjacentHTML('afterbegin', freshMegaMenuArrow);
+        return freshElement('li', {}, freshElement('details', { id: 'Details-' + id, 'data-fresh-mega-submenu': '' },
+            summary,
+            freshElement('div', { id: 'link-' + id, class: 'menu-drawer__submenu has-submenu gradient motion-reduce', tabindex: '-1' },
+                freshElement('div', { class: 'menu-drawer__inner-submenu' }, close, menu, freshMegaMenuPromos(entry.promos, 'drawer')))));
+    });
+    state.drawerList.textContent = '';
+    state.drawerList.append(...render(state.data, state.id + '-drawer'));
+}
+
+function freshOpenMegaMenu(state, item) {
+    if (state.open === item) return;
+    freshCloseMegaMenu(state);
+    if (!item || !item.panel) return;
+    state.open = item;
+    item.panel.hidden = false;
+    item.li.classList.add('fresh-mega-menu__item--open');
+    item.trigger.setAttribute('aria-expanded', 'true');
+    Fresh.header.lock('mega-menu');
+}
+
+function freshCloseMegaMenu(state) {
+    clearTimeout(state.openTimer);
+    clearTimeout(state.closeTimer);
+    const item = state.open;
+    if (!item) return;
+    state.open = null;
+    item.panel.hidden = true;
+    item.li.classList.remove('fresh-mega-menu__item--open');
+    item.trigger.setAttribute('aria-expanded', 'false');
+    Fresh.header.unlock('mega-menu');
+}
+
+function freshFocusMegaMenuItem(state, index, open) {
+    const count = state.items.length,
+          item = state.items[(index + count) % count];
+    state.items.forEach(other => other.trigger.setAttribute('tabindex', other === item ? '0' : '-1'));
+    if (open && item.panel) freshOpenMegaMenu(state, item);
+    else freshCloseMegaMenu(state);
+    item.trigger.focus();
+}
+
+function freshMegaMenuKeydown(state, event) {
+    const index = state.items.findIndex(item => item.li.contains(event.target)),
+          item = state.items[index];
+    if (!item) return;
+
+    const inPanel = item.panel && item.panel.contains(event.target),
+          links = item.panel ? Array.from(item.panel.querySelectorAll('[role="menuitem"]')) : [],
+          focusLink = position => {
+              freshOpenMegaMenu(state, item);
+              links[(position + links.length) % links.length].focus();
+          };
+
+    switch (event.key) {
+        //from a panel, the neighbouring item's panel opens with focus on the item itself
+        case 'ArrowRight':
+        case 'ArrowLeft':
+            freshFocusMegaMenuItem(state, index + (event.key === 'ArrowRight' ? 1 : -1), inPanel || state.open === item);
+            break;
+        case 'Home':
+        case 'End':
+            if (inPanel) focusLink(event.key === 'Home' ? 0 : -1);
+            else freshFocusMegaMenuItem(state, event.key === 'Home' ? 0 : -1, false);
+            break;
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (!links.length) return;
+            if (!inPanel) focusLink(event.key === 'ArrowDown' ? 0 : -1);
+            else focusLink(links.indexOf(event.target) + (event.key === 'ArrowDown' ? 1 : -1));
+            break;
+        case 'Enter':
+        case ' ':
+            if (!inPanel && links.length) {
+                focusLink(0);
+                break;
+            }
+            //links follow themselves on Enter
+            if (event.key === 'Enter') return;
+            event.target.click();
+            break;
+        case 'Escape':
+            if (!state.open) return;
+            freshCloseMegaMenu(state);
+            item.trigger.focus();
+            break;
+        case 'Tab':
+            freshCloseMegaMenu(state);
+            return;
+        default:
+            return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+function freshDrawerSubmenuToggle(event) {
+    const summary = event.target.closest('[data-fresh-mega-submenu] > summary'),
+          close = event.target.closest('.menu-drawer__close-button'),
+          details = (summary || close) && (summary || close).closest('[data-fresh-mega-submenu]');
+    if (!details) return;
+    event.preventDefault();
+
+    const toggle = details.querySelector(':scope > summary'),
+          parent = details.parentElement.closest('.has-submenu');
+    if (summary) {
+        details.open = true;
+        requestAnimationFrame(() => details.classList.add('menu-opening'));
+        toggle.setAttribute('aria-expanded', 'true');
+        if (parent) parent.classList.add('submenu-open');
+        details.querySelector('.menu-drawer__close-button').focus({ preventScroll: true });
+    } else {
+        details.classList.remove('menu-opening');
+        toggle.setAttribute('aria-expanded', 'false');
+        if (parent) parent.classList.remove('submenu-open');
+        setTimeout(() => {
+            details.open = false;
+            toggle.focus({ preventScroll: true });
+        }, freshReducedMotion.matches ? 0 : 300);
+    }
+}
+
+function freshInitMegaMenu(nav) {
+    const list = nav.querySelector('ul'),
+          data = freshMegaMenuData(nav);
+    if (!list || !Array.isArray(data) || !data.length) return;
+
+    const drawer = document.getElementById('menu-drawer'),
+          state = {
+              nav,
+              list,
+              data,
+              id: 'FreshMegaMenu-' + (++freshMegaMenuCount),
+              original: list.innerHTML,
+              originalAttributes: { role: list.getAttribute('role'), class: list.getAttribute('class') },
+              drawerList: drawer && nav.getAttribute('data-drawer') !== 'false' ? drawer.querySelector('.menu-drawer__menu') : null,
+              delay: Number(nav.getAttribute('data-hover-delay') || 200),
+              open: null,
+              pointerType: 'mouse'
+          };
+    freshRenderMegaMenu(state);
+    if (state.drawerList) {
+        state.drawerOriginal = state.drawerList.innerHTML;
+        freshRenderMegaMenuDrawer(state);
+        state.drawerList.addEventListener('click', freshDrawerSubmenuToggle);
+    }
+
+    state.onPointerDown = event => {
+        state.pointerType = event.pointerType || 'mouse';
+    };
+    //hover intent: a panel only opens once the pointer rests on its item
+    state.onPointerOver = event => {
+        if (event.pointerType !== 'mouse') return;
+        const item = state.items.find(item => item.li.contains(event.target));
+        clearTimeout(state.closeTimer);
+        if (!item || item === state.open) return;
+        clearTimeout(state.openTimer);
+        state.openTimer = setTimeout(() => freshOpenMegaMenu(state, item), state.open ? state.delay / 2 : state.delay);
+    };
+    state.onPointerLeave = event => {
+        if (event.pointerType !== 'mouse') return;
+        clearTimeout(state.openTimer);
+        state.closeTimer = setTimeout(() => freshCloseMegaMenu(state), 300);
+    };
+    state.onClick = event => {
+        const item = state.items.find(item => item.trigger.contains(event.target));
+        if (!item || !item.panel) return;
+        //touch: the first tap opens the panel, a mouse follows the link (the panel opened on hover)
+        if (item.trigger.tagName === 'BUTTON' || (state.pointerType !== 'mouse' && state.open !== item)) {
+            event.preventDefault();
+            state.open === item ? freshCloseMegaMenu(state) : freshOpenMegaMenu(state, item);
+        }
+    };
+    state.onKeydown = event => freshMegaMenuKeydown(state, event);
+    state.onFocusOut = event => {
+        if (event.relatedTarget && !nav.contains(event.relatedTarget)) freshCloseMegaMenu(state);
+    };
+    state.onOutside = event => {
+        if (state.open && !nav.contains(event.target)) freshCloseMegaMenu(state);
+    };
+    state.onEscape = event => {
+        if (event.key === 'Escape' && state.open) freshCloseMegaMenu(state);
+    };
+
+    list.addEventListener('pointerdown', state.onPointerDown);
+    list.addEventListener('pointerover', state.onPointerOver);
+    list.addEventListener('pointerleave', state.onPointerLeave);
+    list.addEventListener('click', state.onClick);
+    list.addEventListener('keydown', state.onKeydown);
+    nav.addEventListener('focusout', state.onFocusOut);
+    document.addEventListener('pointerdown', state.onOutside);
+    document.addEventListener('keydown', state.onEscape);
+    return state;
+}
+
+function freshDestroyMegaMenu(nav, state) {
+    if (!state) return;
+    freshCloseMegaMenu(state);
+    const { list } = state;
+    list.removeEventListener('pointerdown', state.onPointerDown);
+    list.removeEventListener('pointerover', state.onPointerOver);
+    list.removeEventListener('pointerleave', state.onPointerLeave);
+    list.removeEventListener('click', state.onClick);
+    list.removeEventListener('keydown', state.onKeydown);
+    nav.removeEventListener('focusout', state.onFocusOut);
+    document.removeEventListener('pointerdown', state.onOutside);
+    document.removeEventListener('keydown', state.onEscape);
+
+    list.innerHTML = state.original;
+    Object.keys(state.originalAttributes).forEach(name => {
+        if (state.originalAttributes[name] === null) list.removeAttribute(name);
+        else list.setAttribute(name, state.originalAttributes[name]);
+    });
+    if (state.drawerList) {
+        state.drawerList.removeEventListener('click', freshDrawerSubmenuToggle);
+        state.drawerList.innerHTML = state.drawerOriginal;
+    }
+}
+
+
+/********************************************************************************************
+ * Title: Modals
+ *
+ * Description:
+ * One modal for newsletter signups, age gates and promo popups instead of a copy per store.
+ * - Adds role="dialog" (unless it has one) and aria-modal to the dialog, traps focus inside
+ *   it, locks the page scroll and moves focus back to where it was on close.
+ * - Closes on Escape, on a click on the overlay / [data-fresh-modal-close], and through
+ *   Fresh.modal.close(). data-dismissible="false" leaves only the close buttons (age gates).
+ * - Keeps the sticky header in place while open (Fresh.header.lock).
+ * - Dispatches 'fresh:modal:open' ({ id, trigger }) and 'fresh:modal:close' ({ id, reason }),
+ *   and tracks 'modal_open' (see Fresh.track).
+ * - In the theme editor selecting the section (or a block in it) previews the modal, automatic
+ *   triggers are off there and previews don't count towards the frequency cap.
+ *
+ * Triggers:
+ * - data-open-delay="8": seconds on the page.
+ * - data-open-scroll="50": percent of the page scrolled.
+ * - data-open-exit-intent: the pointer leaves the top of the window (devices with a mouse).
+ * - a click on [data-fresh-modal-open="{id}"] or a link to '#{id}'.
+ * - the URL hash '#{id}', on load and on hash changes.
+ * The automatic ones (delay, scroll, exit intent) fire once per page, only when no other
+ * modal is open and only as often as data-frequency allows:
+ * - "session" (default): once per browser session.
+ * - a number of days, e.g. "7": at most once every 7 days.
+ * - "dismissed": on every page until the visitor closes it.
+ * - "always".
+ * A form submitted inside the modal stops the automatic triggers for good (except "always").
+ * Kept in localStorage/sessionStorage, or in cookies with data-frequency-storage="cookie" or
+ * when storage isn't available.
+ *
+ * Markup:
+ * <fresh-modal id="newsletter" data-open-delay="10" data-open-exit-intent data-frequency="7" hidden>
+ *   <div class="fresh-modal__overlay"></div>
+ *   <div class="fresh-modal__dialog" aria-labelledby="newsletter-title">
+ *     <button type="button" data-fresh-modal-close aria-label="Close">×</button>
+ *     <h2 id="newsletter-title">...</h2>
+ *   </div>
+ * </fresh-modal>
+ *
+ * Usage:
+ * Fresh.modal.open('newsletter')
+ * Fresh.modal.close()
+ *
+ * @author Alexander Khost
+ ********************************************************************************************/
+const   freshModalSelector = 'fresh-modal, [data-fresh-modal]',
+        freshModalFocusable = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable], [tabindex]:not([tabindex="-1"])',
+        freshModals = {};
+
+let     freshModalOpen = null;
+
+const freshModalStorages = {
+    web: {
+        get: (key, session) => (session ? sessionStorage : localStorage).getItem(key),
+        set: (key, value, session) => (session ? sessionStorage : localStorage).setItem(key, value)
+    },
+    cookie: {
+        get(key) {
+            const cookie = document.cookie.split('; ').find(cookie => cookie.startsWith(key + '='));
+            return cookie ? decodeURIComponent(cookie.slice(key.length + 1)) : null;
+        },
+        //400 days is as long as browsers keep a cookie
+        set(key, value, session) {
+            document.cookie = `${key}=${encodeURIComponent(value)}; path=/; SameSite=Lax` + (session ? '' : '; max-age=' + 400 * 86400);
+        }
+    }
+};
+
+function freshModalStorage(modal) {
+    if (modal.getAttribute('data-frequency-storage') === 'cookie') return freshModalStorages.cookie;
+    try {
+        localStorage.setItem('fresh-modal', '1');
+        localStorage.removeItem('fresh-modal');
+        return freshModalStorages.web;
+    } catch (error) {
+        return freshModalStorages.cookie;
+    }
+}
+
+/**
+ * Reads or updates what the visitor did with a modal.
+ *
+ * @param {Object} state - The modal state.
+ * @param {Object} [changes] - Fields to store: shown (timestamp), dismissed, converted, session.
+ * @returns {Object} The stored record.
+ */
+function freshModalRecord(state, changes) {
+    const key = 'fresh-modal-' + state.id;
+    let record;
+    try {
+        record = JSON.parse(state.storage.get(key)) || {};
+    } catch (error) {
+        record = {};
+    }
+    record.session = state.storage.get(key + '-session', true) === '1';
+    if (!changes) return record;
+
+    Object.assign(record, changes);
+    if (record.session) state.storage.set(key + '-session', '1', true);
+    state.storage.set(key, JSON.stringify(Object.assign({}, record, { session: undefined })));
+    return record;
+}
+
+function freshModalCapped(state) {
+    const frequency = state.frequency,
+          record = freshModalRecord(state);
+    if (frequency === 'always') return false;
+    if (record.converted) return true;
+    if (frequency === 'dismissed') return !!record.dismissed;
+    if (!isNaN(parseFloat(frequency))) return !!record.shown && Date.now() - record.shown < parseFloat(frequency) * 86400000;
+    return record.session;
+}
+
+function freshOpenModal(state, trigger = 'api') {
+    if (state.open) return;
+    //a modal opened from another one returns focus to where the first was opened from
+    state.returnFocus = freshModalOpen ? freshModalOpen.returnFocus : document.activeElement;
+    if (freshModalOpen) freshCloseModal(freshModalOpen, 'replaced');
+    freshModalOpen = state;
+    state.open = true;
+
+    const root = document.documentElement;
+    root.style.setProperty('--fresh-scrollbar-width', window.innerWidth - root.clientWidth + 'px');
+    root.classList.add('fresh-modal-lock');
+    Fresh.header.lock('modal');
+    state.modal.hidden = false;
+    state.modal.classList.add('fresh-modal--open');
+    (state.dialog.querySelector('[autofocus]') || state.dialog).focus({ preventScroll: true });
+
+    //previews in the editor don't count
+    if (trigger !== 'editor') {
+        freshModalRecord(state, { shown: Date.now(), session: true });
+        freshTrack('modal_open', { modal_id: state.id, trigger }, state.modal);
+    }
+    state.modal.dispatchEvent(new CustomEvent('fresh:modal:open', { bubbles: true, detail: { id: state.id, trigger } }));
+}
+
+function freshCloseModal(state, reason = 'api') {
+    if (!state.open) return;
+    state.open = false;
+    state.modal.hidden = true;
+    state.modal.classList.remove('fresh-modal--open');
+    if (freshModalOpen === state) {
+        freshModalOpen = null;
+        document.documentElement.classList.remove('fresh-modal-lock');
+        Fresh.header.unlock('modal');
+    }
+    if (['close', 'escape', 'overlay'].includes(reason)) freshModalRecord(state, { dismissed: true });
+    //so a reload or the back button doesn't open it again
+    if (window.location.hash === '#' + state.id) history.replaceState(history.state, '', window.location.pathname + window.location.search);
+    if (state.returnFocus && state.returnFocus.isConnected && reason !== 'replaced') state.returnFocus.focus({ preventScroll: true });
+    state.modal.dispatchEvent(new CustomEvent('fresh:modal:close', { bubbles: true, detail: { id: state.id, reason } }));
+}
+
+//for the automatic triggers, the first one to fire disarms the rest
+function freshAutoOpenModal(state, trigger) {
+    freshDisarmModal(state);
+    if (state.open || freshModalOpen || freshModalCapped(state)) return;
+    freshOpenModal(state, trigger);
+}
+
+function freshDisarmModal(state) {
+    clearTimeout(state.timer);
+    window.removeEventListener('scroll', state.onScroll);
+    document.removeEventListener('mouseout', state.onMouseOut);
+}
+
+function freshModalKeydown(state, event) {
+    if (event.key === 'Escape' && state.dismissible) {
+        event.preventDefault();
+        freshCloseModal(state, 'escape');
+        return;
+    }
+    if (event.key !== 'Tab') return;
+    const focusable = Array.from(state.dialog.querySelectorAll(freshModalFocusable)).filter(element => element.getClientRects().length),
+          first = focusable[0],
+          last = focusable[focusable.length - 1];
+    if (!first) {
+        event.preventDefault();
+    } else if (event.shiftKey && (document.activeElement === first || document.activeElement === state.dialog)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+function freshInitModal(modal) {
+    const section = modal.closest('.shopify-section'),
+          dialog = modal.querySelector('[role="dialog"], [role="alertdialog"], .fresh-modal__dialog') || modal,
+          id = modal.id || (section ? section.id : 'FreshModal') + '-modal-' +
+            Array.from((section || document).querySelectorAll(freshModalSelector)).indexOf(modal),
+          number = name => modal.hasAttribute(name) ? parseFloat(modal.getAttribute(name)) : NaN,
+          state = {
+              id,
+              modal,
+              dialog,
+              open: false,
+              frequency: modal.getAttribute('data-frequency') || 'session',
+              storage: freshModalStorage(modal),
+              dismissible: modal.getAttribute('data-dismissible') !== 'false'
+          };
+    modal.id = id;
+    modal.hidden = true;
+    if (!dialog.hasAttribute('role')) dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    if (!dialog.hasAttribute('tabindex')) dialog.tabIndex = -1;
+    if (!dialog.hasAttribute('aria-label') && !dialog.hasAttribute('aria-labelledby')) {
+        const heading = dialog.querySelector('h1, h2, h3, h4, h5, h6');
+        if (heading) dialog.setAttribute('aria-labelledby', heading.id = heading.id || id + '-title');
+    }
+    freshModals[id] = state;
+
+    state.onClick = event => {
+        if (event.target.closest('[data-fresh-modal-close]')) freshCloseModal(state, 'close');
+        else if (state.dismissible && (event.target === modal || event.target.classList.contains('fresh-modal__overlay'))) freshCloseModal(state, 'overlay');
+    };
+    state.onKeydown = event => freshModalKeydown(state, event);
+    state.onSubmit = () => freshModalRecord(state, { converted: true });
+    //captured, so the anchor scrolling never sees the '#id' links
+    state.onOpener = event => {
+        const opener = event.target.closest && event.target.closest(`[data-fresh-modal-open="${CSS.escape(id)}"], a[href="#${CSS.escape(id)}"]`);
+        if (!opener) return;
+        event.preventDefault();
+        freshOpenModal(state, 'click');
+    };
+    //focus that ends up behind the modal (screen reader cursor, a click outside) goes back in
+    state.onFocusIn = event => {
+        if (state.open && !modal.contains(event.target)) state.dialog.focus({ preventScroll: true });
+    };
+    state.onHashChange = () => window.location.hash === '#' + id && freshOpenModal(state, 'hash');
+    modal.addEventListener('click', state.onClick);
+    modal.addEventListener('keydown', state.onKeydown);
+    modal.addEventListener('submit', state.onSubmit);
+    document.addEventListener('click', state.onOpener, true);
+    document.addEventListener('focusin', state.onFocusIn);
+    window.addEventListener('hashchange', state.onHashChange);
+
+    //merchants preview it by selecting the section instead
+    if (window.Shopify && window.Shopify.designMode) return state;
+    state.onHashChange();
+
+    const delay = number('data-open-delay'),
+          depth = number('data-open-scroll');
+    if (!isNaN(delay)) state.timer = setTimeout(() => freshAutoOpenModal(state, 'delay'), delay * 1000);
+    state.onScroll = () => {
+        const scrolled = (window.scrollY + window.innerHeight) / document.documentElement.scrollHeight * 100;
+        if (scrolled >= depth) freshAutoOpenModal(state, 'scroll');
+    };
+    if (!isNaN(depth)) window.addEventListener('scroll', state.onScroll, { passive: true });
+    state.onMouseOut = event => {
+        if (!event.relatedTarget && event.clientY <= 0) freshAutoOpenModal(state, 'exit-intent');
+    };
+    if (modal.hasAttribute('data-open-exit-intent') && window.matchMedia('(hover: hover) and (pointer: fine)').matches) {
+        document.addEventListener('mouseout', state.onMouseOut);
+    }
+    return state;
+}
+
+function freshDestroyModal(modal, state) {
+    freshDisarmModal(state);
+    freshCloseModal(state, 'destroy');
+    modal.removeEventListener('click', state.onClick);
+    modal.removeEventListener('keydown', state.onKeydown);
+    modal.removeEventListener('submit', state.onSubmit);
+    document.removeEventListener('click', state.onOpener, true);
+    document.removeEventListener('focusin', state.onFocusIn);
+    window.removeEventListener('hashchange', state.onHashChange);
+    if (freshModals[state.id] === state) delete freshModals[state.id];
+}
+
+Fresh.modal = {
+    get current() {
+        return freshModalOpen ? freshModalOpen.id : null;
+    },
+    open(id) {
+        if (freshModals[id]) freshOpenModal(freshModals[id], 'api');
+    },
+    close(id) {
+        const state = id ? freshModals[id] : freshModalOpen;
+        if (state) freshCloseModal(state, 'api');
+    }
+};
+
+
+/*#########################################################################################
+#                                                                                         #
+#    Components                                                                           #
+#    ----------                                                                           #
+#    Register section-scoped features here. They are initialized in this order.           #
+#                                                                                         #
+#########################################################################################*/
+
+//page-wide features live on the <html> element, so section events never re-run them
+freshRegisterComponent({
+  name: 'analytics',
+  selector: ':root',
+  init: freshInitTracking,
+  destroy: freshDestroyTracking
+});
+
+freshRegisterComponent({
+  name: 'images',
+  selector: ':root',
+  init: freshInitImages,
+  destroy: freshDestroyImages
+});
+
+freshRegisterComponent({
+  name: 'external-links',
+  selector: ':root',
+  init: freshInitLinkPolicy,
+  destroy: freshDestroyLinkPolicy
+});
+
+freshRegisterComponent({
+  name: 'cart',
+  selector: ':root',
+  init: freshInitCart,
+  destroy: freshDestroyCart
+});
+
+freshRegisterComponent({
+  name: 'anchor-scroll',
+  selector: ':root',
+  init: smoothScrollToInlineAnchors,
+  destroy: freshDestroyAnchorScroll
+});
+
+
+freshRegisterComponent({
+  name: 'accordion',
+  selector: '[data-fresh-accordion], .shopify-section',
+  init: freshInitAccordion,
+  resize: (group, state) => state && freshRefreshAccordion(group),
+  select: (group, state, event) => {
+    const item = state && event.target.closest('.accordion_item');
+    if (item && freshAccordionGroup(item) === group) fresh_toggleAccordion(group, item, true);
+  },
+  destroy: freshDestroyAccordion
+});
+
+freshRegisterComponent({
+  name: 'hero',
+  selector: '.fresh-hero-container',
+  init: freshSetXY,
+  breakpoint: freshPositionHeroes,
+  destroy: freshDestroyHero
+});
+
+freshRegisterComponent({
+  name: 'video',
+  selector: 'video.fresh_video, video.fresh_video_desktop, video.fresh_video_mobile',
+  init: freshInitVideo,
+  breakpoint: fresh_handleVideoLoad,
+  destroy: freshDestroyVideo
+});
+
+freshRegisterComponent({
+  name: 'infinite-scroll',
+  selector: '.fresh_infinit-scoller',
+  init: fresh_infinite_scroll,
+  breakpoint: fresh_resizeInfiniteScroll,
+  destroy: fresh_destroyInfiniteScroll
+});
+
+freshRegisterComponent({
+  name: 'carousel',
+  selector: '.fresh-slides',
+  init: fresh_slickInit,
+  resize: fresh_slickRefresh,
+  destroy: freshDestroyCarousel
+});
+
+freshRegisterComponent({
+  name: 'sticky-header',
+  selector: 'sticky-header',
+  init: freshInitStickyHeader,
+  resize: freshMeasureStickyHeader,
+  destroy: freshDestroyStickyHeader
+});
+
+freshRegisterComponent({
+  name: 'bragbar',
+  selector: '[data-fresh-bragbar], .shopify-section',
+  init: freshInitBragbar,
+  select: freshSelectBragbarBlock,
+  deselect: (bragbar, state) => state && state.paused.delete('editor'),
+  destroy: freshDestroyBragbar
+});
+
+freshRegisterComponent({
+  name: 'mega-menu',
+  selector: '[data-fresh-mega-menu]',
+  init: freshInitMegaMenu,
+  //the drawer takes over below lg
+  breakpoint: (nav, state) => state && !Fresh.breakpoints.is('lg') && freshCloseMegaMenu(state),
+  destroy: freshDestroyMegaMenu
+});
+
+freshRegisterComponent({
+  name: 'search',
+  selector: 'predictive-search',
+  init: freshInitSearch,
+  destroy: freshDestroySearch
+});
+
+freshRegisterComponent({
+  name: 'modal',
+  selector: freshModalSelector,
+  init: freshInitModal,
+  sectionSelect: (modal, state) => freshOpenModal(state, 'editor'),
+  sectionDeselect: (modal, state) => freshCloseModal(state, 'editor'),
+  select: (modal, state, event) => modal.contains(event.target) && freshOpenModal(state, 'editor'),
+  destroy: freshDestroyModal
+});
+
+//last, so carousels already have their Slick clones and the stagger can skip them
+freshRegisterComponent({
+  name: 'scroll-animations',
+  selector: '[data-fresh-animate]',
+  init: freshInitAnimate,
+  destroy: freshDestroyAnimate
+});
+
+
+/*#########################################################################################
+#    Public API                                                                           #
+#########################################################################################*/
+
+/******************************************************************************************
+ * Title: window.Fresh
+ *
+ * Description:
+ * The one public entry point. Stores sharing a CDN build customize it through the store
+ * config and these methods instead of reaching into the file.
+ * - Fresh.version, Fresh.config
+ * - Fresh.features: names of the registered features, Fresh.hasFeature(name) whether one is on.
+ * - Fresh.register(component): adds a store specific component (see freshRegisterComponent).
+ * - Fresh.init(root) / Fresh.destroy(root): (re)initialize or tear down the features inside
+ *   root, e.g. after injecting markup. Safe to call before the document is ready.
+ * - Fresh.on(name, handler) / Fresh.off(name, handler): listen to the 'fresh:*' events, with
+ *   or without the prefix, e.g. Fresh.on('carousel:change', e => e.detail.index).
+ * - Fresh.emit(name, detail, target): dispatches a bubbling 'fresh:*' event.
+ * - Fresh.track(name, params, element): reports an interaction to the analytics sinks.
+ * - Fresh.links.apply(root): see External Link Policy. Fresh.debounce(func, wait, immediate).
+ * - Fresh.modal.open(id) / Fresh.modal.close(id): see Modals.
+ * - Fresh.log.debug/info/warn/error(message, ...args) and Fresh.debug: see Diagnostics.
+ * Calls queued in Fresh.q by the v3 bootstrap before this file loaded are replayed in order,
+ * before the components first initialize.
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+function freshEventName(name) {
+    return name.startsWith('fresh:') ? name : 'fresh:' + name;
+}
+
+Object.defineProperty(Fresh, 'features', {
+    configurable: true,
+    enumerable: true,
+    get: () => Object.keys(freshComponents)
+});
+
+Object.assign(Fresh, {
+    hasFeature: name => name in freshComponents && freshFeatureEnabled(name),
+    register: freshRegisterComponent,
+    debounce,
+    init(root = document) {
+        freshReady(() => freshInitComponents(root));
+    },
+    destroy(root = document) {
+        freshReady(() => freshDestroyComponents(root));
+    },
+    on(name, handler) {
+        document.addEventListener(freshEventName(name), handler);
+    },
+    off(name, handler) {
+        document.removeEventListener(freshEventName(name), handler);
+    },
+    emit(name, detail, target = document) {
+        return target.dispatchEvent(new CustomEvent(freshEventName(name), { bubbles: true, detail }));
+    }
+});
+
+
+/*#########################################################################################
+#                                                                                         #
+#    Event Listeners                                                                      #
+#    -----------------                                                                    #
+#    Hook functions to specific events here.                                              #
+#                                                                                         #
+#########################################################################################*/
+
+freshReady(function() {
+  freshSetupBreakpoints();
+  //calls made through the bootstrap's stubs before this file loaded ('track.consent' is Fresh.track.consent), so queued components and handlers are in place for the first init
+  (Fresh.q || []).splice(0).forEach(([path, args]) => {
+    const names = path.split('.'),
+          method = names.pop(),
+          owner = names.reduce((object, name) => object && object[name], Fresh);
+    if (owner && typeof owner[method] === 'function') owner[method](...args);
+  });
+  freshInitComponents(document);
+  //only once the components are registered, this may run before the rest of the file did
+  if (freshDebug && freshDebugParam === 'overlay') freshShowDebugOverlay();
+});
+
+//layout that depends on the exact width (accordion heights, Slick's own breakpoints)
+window.addEventListener('resize', debounce(function() {
+  freshCallComponents(document, 'resize');
+}, 100));
+
+//everything else only re-runs when a breakpoint is crossed
+document.addEventListener('fresh:breakpointchange', function(e) {
+  freshCallComponents(document, 'breakpoint', e.detail);
+});
+
+//theme editor: only (re)initialize the section that changed
+document.addEventListener('shopify:section:load', function(e) {
+  freshInitComponents(freshSectionRoot(e));
+});
+
+document.addEventListener('shopify:section:unload', function(e) {
+  freshDestroyComponents(freshSectionRoot(e));
+});
+
+document.addEventListener('shopify:section:reorder', function() {
+  if (Fresh.lazyLoad) Fresh.lazyLoad.update();
+});
+
+document.addEventListener('shopify:block:load', function(e) {
+  const section = freshSectionRoot(e);
+  freshDestroyComponents(section);
+  freshInitComponents(section);
+});
+
+document.addEventListener('shopify:section:select', function(e) {
+  freshCallComponents(freshSectionRoot(e), 'sectionSelect', e);
+});
+
+document.addEventListener('shopify:section:deselect', function(e) {
+  freshCallComponents(freshSectionRoot(e), 'sectionDeselect', e);
 });
 
-$0(document).on('shopify:section:load', function(e){
-  lazyLoadInstance.update();
-  fresh_toggleAccordion();
-  fresh_handleVideoLoad();
-  freshSetXY();
-  fresh_infinite_scroll(e);
-  fresh_slickInit(".fresh-slides");
-  handleLogoClick(e);
-  
+document.addEventListener('shopify:block:select', function(e) {
+  freshCallComponents(freshSectionRoot(e), 'select', e);
 });
 
-$0(document).on('shopify:section:reorder', function(){
-  lazyLoadInstance.update();
+document.addEventListener('shopify:block:deselect', function(e) {
+  freshCallComponents(freshSectionRoot(e), 'deselect', e);
 });
 
-$0(document).on('shopify:block:load', function(e){
-  fresh_infinite_scroll(e);
-  fresh_slickInit(".fresh-slides");
-  handleLogoClick(e);
-});
\ No newline at end of file
+})(window, document);
@@ -1,5 +1,78 @@
-var $0 = $.noConflict();
+/*#########################################################################################
+#                                                                                         #
+#    Freshwater v3 BOOTSTRAP                                                              #
+#    -----------------------                                                              #
+#    Load this before the feature bundle (v2/0-global.js). It sets up window.Fresh, so    #
+#    several stores can share one CDN build and still configure it per store.             #
+#                                                                                         #
+#########################################################################################*/
 
-$0(document).ready(function() {
-    console.log('fw loaded');
-});
\ No newline at end of file
+/******************************************************************************************
+ * Title: Freshwater Bootstrap
+ *
+ * Description:
+ * - Guards against being included twice (theme snippet + app embed, cached + CDN copy).
+ * - Detects jQuery and LazyLoad. When jQuery is there it is moved to $0 (noConflict) as
+ *   before, when either is missing the bundle falls back to its vanilla code paths.
+ * - Reads the store config from <script type="application/json" id="fresh-config"> into
+ *   Fresh.config, e.g. {"features": {"bragbar": false}}.
+ * - Queues Fresh.init/destroy/on/off/register/emit/track calls (and Fresh.track.consent/sink)
+ *   in Fresh.q until the bundle has loaded, so theme code can use the API without caring about
+ *   script order.
+ * - Optionally loads the bundle itself: "bundle": true loads the v2/0-global.js next to this
+ *   file, a string is used as the URL. Either way it is versioned with Fresh.version.
+ *
+ * @author Alexander Khost
+ *******************************************************************************************/
+(function (window, document) {
+    'use strict';
+
+    const Fresh = window.Fresh = window.Fresh || {};
+    if (Fresh.version) {
+        console.warn('Freshwater: ' + Fresh.version + ' is already loaded, ignoring the second copy');
+        return;
+    }
+
+    const script = document.currentScript;
+
+    Fresh.version = '3.0.0';
+
+    Fresh.support = {
+        jquery: typeof window.jQuery === 'function',
+        lazyload: typeof window.LazyLoad === 'function'
+    };
+
+    if (Fresh.support.jquery && !window.$0) window.$0 = window.jQuery.noConflict();
+
+    const block = document.getElementById('fresh-config');
+    let config = {};
+    if (block) {
+        try {
+            config = JSON.parse(block.textContent) || {};
+        } catch (error) {
+            console.error('Freshwater: invalid #fresh-config JSON, using defaults', error);
+        }
+    }
+    //settings assigned to window.Fresh.config by an inline script win over the JSON block
+    Fresh.config = Object.assign(config, Fresh.config);
+
+    //the bundle replays Fresh.q by path, 'track.consent' is Fresh.track.consent
+    Fresh.q = Fresh.q || [];
+    ['init', 'destroy', 'on', 'off', 'register', 'emit', 'track', 'track.consent', 'track.sink'].forEach(path => {
+        const names = path.split('.'),
+              method = names.pop(),
+              owner = names.reduce((object, name) => object[name], Fresh);
+        if (typeof owner[method] !== 'function') owner[method] = (...args) => { Fresh.q.push([path, args]); };
+    });
+
+    if (Fresh.config.bundle && !Fresh.components) {
+        const bundle = document.createElement('script'),
+              base = typeof Fresh.config.bundle === 'string' ? Fresh.config.bundle : new URL('../v2/0-global.js', script ? script.src : document.baseURI).href,
+              url = new URL(base, document.baseURI);
+        url.searchParams.set('v', Fresh.version);
+        bundle.src = url.href;
+        bundle.async = true;
+        bundle.onerror = () => console.error('Freshwater: the bundle failed to load', bundle.src);
+        document.head.appendChild(bundle);
+    }
+})(window, document);